@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const CeiCli = require('../src/cli/CeiCli');
+
+CeiCli.run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -1,6 +1,18 @@
 const CeiCrawler = require('./lib/CeiCrawler');
 const { CeiCrawlerError, CeiErrorTypes } = require('./lib/CeiCrawlerError')
+const FixtureTransport = require('./lib/FixtureTransport');
+const ResultExporter = require('./lib/ResultExporter');
+const StockAnalytics = require('./lib/StockAnalytics');
+const IrpfReport = require('./lib/IrpfReport');
+const MoneyUtils = require('./lib/MoneyUtils');
 
 module.exports = CeiCrawler;
 module.exports.CeiCrawlerError = CeiCrawlerError;
 module.exports.CeiErrorTypes = CeiErrorTypes;
+module.exports.FixtureTransport = FixtureTransport;
+module.exports.ResultExporter = ResultExporter;
+module.exports.StockAnalytics = StockAnalytics;
+module.exports.IrpfReport = IrpfReport;
+module.exports.MoneyUtils = MoneyUtils;
+module.exports.MoneyFormats = MoneyUtils.MONEY_FORMATS;
+module.exports.CorporateEventTypes = StockAnalytics.CORPORATE_EVENT_TYPES;
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const readline = require('readline');
+const typedefs = require('../lib/typedefs');
+const CeiCrawler = require('../lib/CeiCrawler');
+const CeiUtils = require('../lib/CeiUtils');
+const ResultExporter = require('../lib/ResultExporter');
+const { RESULT_TYPES } = require('../lib/ResultExporter');
+const { CeiErrorTypes } = require('../lib/CeiCrawlerError');
+
+const USAGE = `Uso: cei-crawler <comando> [opções]
+
+Comandos:
+  wallet      Carteira de ativos                  [--date dd/MM/yyyy]
+  dividends   Proventos                           [--date dd/MM/yyyy]
+  history     Histórico de negociação             [--start dd/MM/yyyy] [--end dd/MM/yyyy]
+  treasure    Tesouro Direto                      [--date dd/MM/yyyy]
+  options     Datas, instituições e contas válidas de uma consulta: wallet, dividends, history ou treasure
+
+Opções:
+  --format <json|csv|xlsx>  Formato da saída (default: json)
+  --table <nome>            Tabela do resultado exportada em CSV ou XLSX (default: a primeira no CSV e todas no XLSX)
+  --brazilian-format        Formata números e datas no padrão brasileiro no CSV e XLSX
+  --output <arquivo>        Escreve a saída no arquivo em vez do stdout
+  --institution <código>    Consulta apenas a instituição. Pode ser repetida
+  --account <conta>         Consulta apenas a conta. Pode ser repetida
+  --concurrency <n>         Número de contas consultadas ao mesmo tempo
+  --base-url <url>          URL base das páginas do CEI
+  --trace                   Printa mensagens de debug
+  --help                    Mostra esta ajuda
+
+O usuário e a senha são lidos das variáveis de ambiente CEI_USERNAME e CEI_PASSWORD
+ou perguntados no terminal.`;
+
+/**
+ * Exit codes of the CLI. Each CeiErrorTypes value has its own code
+ */
+const EXIT_CODES = Object.freeze({
+    SUCCESS: 0,
+    UNKNOWN_ERROR: 1,
+    INVALID_ARGUMENTS: 2,
+    [CeiErrorTypes.LOGIN_FAILED]: 10,
+    [CeiErrorTypes.WRONG_PASSWORD]: 11,
+    [CeiErrorTypes.SUBMIT_ERROR]: 12,
+    [CeiErrorTypes.SESSION_HAS_EXPIRED]: 13,
+    [CeiErrorTypes.NAVIGATION_TIMEOUT]: 14,
+    [CeiErrorTypes.PARSE_ERROR]: 15,
+    [CeiErrorTypes.LAYOUT_CHANGED]: 16
+});
+
+const COMMANDS = {
+    wallet: {
+        resultType: RESULT_TYPES.WALLET,
+        dates: ['date'],
+        run: (ceiCrawler, args, filter) => ceiCrawler.getWallet(args.date, filter),
+        options: ceiCrawler => ceiCrawler.getWalletOptions()
+    },
+    dividends: {
+        resultType: RESULT_TYPES.DIVIDENDS,
+        dates: ['date'],
+        run: (ceiCrawler, args, filter) => ceiCrawler.getDividends(args.date, filter),
+        options: ceiCrawler => ceiCrawler.getDividendsOptions()
+    },
+    history: {
+        resultType: RESULT_TYPES.STOCK_HISTORY,
+        dates: ['start', 'end'],
+        run: (ceiCrawler, args, filter) => ceiCrawler.getStockHistory(args.start, args.end, filter),
+        options: ceiCrawler => ceiCrawler.getStockHistoryOptions()
+    },
+    treasure: {
+        resultType: RESULT_TYPES.TREASURE,
+        dates: ['date'],
+        run: (ceiCrawler, args, filter) => ceiCrawler.getTreasures(args.date, filter),
+        options: ceiCrawler => ceiCrawler.getTreasureOptions()
+    }
+};
+
+const VALUE_FLAGS = ['date', 'start', 'end', 'format', 'table', 'output', 'institution', 'account', 'concurrency', 'base-url'];
+const LIST_FLAGS = ['institution', 'account'];
+const BOOLEAN_FLAGS = ['trace', 'help', 'brazilian-format'];
+
+class UsageError extends Error {}
+
+class CeiCli {
+
+    /**
+     * Runs the CLI
+     * @param {String[]} argv - Arguments after the script name
+     * @param {Object} [io] - Environment of the CLI, replaceable for tests
+     * @param {Object<String, String>} [io.env] - Environment variables
+     * @param {NodeJS.WritableStream} [io.stdout] - Stream the result is written to
+     * @param {NodeJS.WritableStream} [io.stderr] - Stream the errors are written to
+     * @param {function(String, boolean): Promise<String>} [io.prompt] - Asks a value to the user, the second argument hides the answer
+     * @returns {Promise<Number>} - Exit code
+     */
+    static async run(argv, io = {}) {
+        const env = io.env || process.env;
+        const stdout = io.stdout || process.stdout;
+        const stderr = io.stderr || process.stderr;
+        const prompt = io.prompt || this._prompt;
+
+        let args;
+        try {
+            args = this._parseArgs(argv);
+        } catch (e) {
+            stderr.write(`${e.message}\n\n${USAGE}\n`);
+            return EXIT_CODES.INVALID_ARGUMENTS;
+        }
+
+        if (args.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.SUCCESS;
+        }
+
+        try {
+            const username = env.CEI_USERNAME || await prompt('Usuário: ', false);
+            const password = env.CEI_PASSWORD || await prompt('Senha: ', true);
+
+            const ceiCrawler = new CeiCrawler(username, password, {
+                trace: args.trace,
+                ...(args.concurrency ? { concurrency: args.concurrency } : {}),
+                ...(args['base-url'] ? { baseUrl: args['base-url'] } : {})
+            });
+
+            const result = args.command === 'options'
+                ? await COMMANDS[args.target].options(ceiCrawler)
+                : await COMMANDS[args.command].run(ceiCrawler, args, this._createFilter(args));
+
+            const output = this._formatOutput(args, result);
+
+            if (args.output)
+                fs.writeFileSync(args.output, output);
+            else
+                stdout.write(output);
+
+            return EXIT_CODES.SUCCESS;
+        } catch (e) {
+            if (e instanceof UsageError) {
+                stderr.write(`${e.message}\n`);
+                return EXIT_CODES.INVALID_ARGUMENTS;
+            }
+
+            stderr.write(`${e.type ? `${e.type}: ` : ''}${e.message}\n`);
+            return EXIT_CODES[e.type] || EXIT_CODES.UNKNOWN_ERROR;
+        }
+    }
+
+    /**
+     * Parses the command line arguments
+     * @param {String[]} argv - Arguments after the script name
+     * @returns {Object} - Command, its target for `options` and the flags, with the dates already parsed
+     */
+    static _parseArgs(argv) {
+        const args = { format: 'json', trace: false, 'brazilian-format': false, institution: [], account: [] };
+        const positionals = [];
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--')) {
+                positionals.push(arg);
+                continue;
+            }
+
+            const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (BOOLEAN_FLAGS.includes(flag)) {
+                args[flag] = true;
+            } else if (VALUE_FLAGS.includes(flag)) {
+                const value = inlineValue !== undefined ? inlineValue : argv[++i];
+                if (value === undefined)
+                    throw new UsageError(`A opção --${flag} precisa de um valor`);
+
+                if (LIST_FLAGS.includes(flag))
+                    args[flag].push(value);
+                else
+                    args[flag] = value;
+            } else {
+                throw new UsageError(`Opção desconhecida: --${flag}`);
+            }
+        }
+
+        if (args.help) return args;
+
+        [args.command, args.target] = positionals;
+        if (args.command === 'options') {
+            if (!COMMANDS[args.target])
+                throw new UsageError(`Informe a consulta das opções: ${Object.keys(COMMANDS).join(', ')}`);
+        } else if (!COMMANDS[args.command]) {
+            throw new UsageError(args.command ? `Comando desconhecido: ${args.command}` : 'Informe um comando');
+        }
+
+        if (!['json', 'csv', 'xlsx'].includes(args.format))
+            throw new UsageError(`Formato inválido: ${args.format}`);
+
+        if (args.concurrency !== undefined) {
+            args.concurrency = parseInt(args.concurrency);
+            if (!(args.concurrency > 0))
+                throw new UsageError('A opção --concurrency precisa ser um número maior que zero');
+        }
+
+        for (const name of ['date', 'start', 'end']) {
+            if (args[name] === undefined) {
+                args[name] = null;
+                continue;
+            }
+
+            if (args.command === 'options' || !COMMANDS[args.command].dates.includes(name))
+                throw new UsageError(`A opção --${name} não é válida para o comando ${args.command}`);
+
+            args[name] = this._parseDate(args[name], name);
+        }
+
+        return args;
+    }
+
+    /**
+     * Parses a date in the dd/MM/yyyy format
+     * @param {String} value - Date string
+     * @param {String} name - Name of the flag, for the error message
+     * @returns {Date} - The date
+     */
+    static _parseDate(value, name) {
+        const date = /^\d{2}\/\d{2}\/\d{4}$/.test(value) ? CeiUtils.getDateFromInput(value) : null;
+        if (!date || CeiUtils.getDateForInput(date) !== value)
+            throw new UsageError(`Data inválida em --${name}: ${value}. Utilize o formato dd/MM/yyyy`);
+        return date;
+    }
+
+    /**
+     * Creates the institution filter from the `--institution` and `--account` flags
+     * @param {Object} args - Parsed arguments
+     * @returns {typedefs.InstitutionFilter} - The filter, or null to crawl everything
+     */
+    static _createFilter(args) {
+        if (args.institution.length === 0 && args.account.length === 0) return null;
+        return {
+            ...(args.institution.length > 0 ? { institutions: args.institution } : {}),
+            ...(args.account.length > 0 ? { accounts: args.account } : {})
+        };
+    }
+
+    /**
+     * Formats the result in the format chosen in the arguments
+     * @param {Object} args - Parsed arguments
+     * @param {any} result - Result of the command
+     * @returns {String|Buffer} - Content to be written
+     */
+    static _formatOutput(args, result) {
+        if (args.format === 'json')
+            return `${JSON.stringify(result, null, 2)}\n`;
+
+        const exportOptions = { brazilianFormat: args['brazilian-format'] };
+        const tables = args.command === 'options'
+            ? [this._getOptionsTable(result)]
+            : ResultExporter.getTables(COMMANDS[args.command].resultType, result);
+
+        const selectedTables = args.table ? tables.filter(table => table.name === args.table) : tables;
+        if (selectedTables.length === 0)
+            throw new UsageError(`Tabela desconhecida: ${args.table}. Utilize uma de: ${tables.map(table => table.name).join(', ')}`);
+
+        return args.format === 'xlsx'
+            ? ResultExporter.toXlsx(selectedTables, exportOptions)
+            : ResultExporter.toCsv(selectedTables[0], exportOptions);
+    }
+
+    /**
+     * Creates a table with the options of a page, one row for each institution/account
+     * @param {Object} options - Result of a get*Options method
+     * @returns {typedefs.ExportTable} - Table of the options
+     */
+    static _getOptionsTable(options) {
+        const { institutions, ...dates } = options;
+        const columns = [...Object.keys(dates), 'institution', 'label', 'account'].map(name => ({ name, type: 'string' }));
+
+        return {
+            name: 'options',
+            columns,
+            rows: institutions.flatMap(institution => institution.accounts.map(account =>
+                [...Object.values(dates), institution.value, institution.label, account]
+            ))
+        };
+    }
+
+    /**
+     * Asks a value in the terminal
+     * @param {String} question - Text shown to the user
+     * @param {boolean} hidden - Whether the answer should not be echoed
+     * @returns {Promise<String>} - The answer
+     */
+    /* istanbul ignore next */
+    static _prompt(question, hidden) {
+        if (!process.stdin.isTTY)
+            return Promise.reject(new UsageError('Defina as variáveis de ambiente CEI_USERNAME e CEI_PASSWORD'));
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        if (hidden)
+            rl._writeToOutput = str => rl.output.write(str.includes(question) ? str : '');
+
+        return new Promise(resolve => rl.question(question, answer => {
+            rl.close();
+            if (hidden) process.stderr.write('\n');
+            resolve(answer);
+        }));
+    }
+}
+
+module.exports = CeiCli;
+module.exports.EXIT_CODES = EXIT_CODES;
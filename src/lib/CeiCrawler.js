@@ -5,8 +5,11 @@ const TreasureCrawler = require('./TreasureCrawler');
 const typedefs = require("./typedefs");
 const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError');
 const FetchCookieManager = require('./FetchCookieManager');
+const CeiEndpoints = require('./CeiEndpoints');
 const cheerio = require('cheerio');
 const CeiUtils = require('./CeiUtils');
+const HealthCheck = require('./HealthCheck');
+const { MONEY_FORMATS } = require('./MoneyUtils');
 
 class CeiCrawler {
 
@@ -16,6 +19,15 @@ class CeiCrawler {
     /** @type {FetchCookieManager} */
     _cookieManager = null;
 
+    /** @type {CeiEndpoints} */
+    _endpoints = null;
+
+    /** @type {boolean} - Whether the session was imported and was not used successfully yet */
+    _isRestoredSession = false;
+
+    /** @type {boolean} - Whether the session store was already read */
+    _isSessionStoreLoaded = false;
+
     get username() { return this._username; }
     set username(username) { this._username = username; }
 
@@ -38,33 +50,80 @@ class CeiCrawler {
         this.options = options;
         this._setDefaultOptions();
 
+        this._endpoints = new CeiEndpoints(this.options.baseUrl, this.options.pages);
+
         this._cookieManager = new FetchCookieManager({
-            'Host': 'cei.b3.com.br',
-            'Origin': 'https://cei.b3.com.br',
-            'Referer': 'https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx',
+            ...this._endpoints.getDefaultHeaders(),
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.121 Safari/537.36'
-        }, this.options.navigationTimeout);
+        }, this.options.navigationTimeout, this.options.transport, this._endpoints);
     }
 
     _setDefaultOptions() {
         if (!this.options.trace) this.options.trace = false;
         if (!this.options.navigationTimeout) this.options.navigationTimeout = 30000;
         if (!this.options.loginTimeout) this.options.loginTimeout = 150000;
+        if (!this.options.concurrency) this.options.concurrency = 1;
+        if (!this.options.baseUrl) this.options.baseUrl = CeiEndpoints.DEFAULT_BASE_URL;
+        if (!this.options.pages) this.options.pages = {};
+        if (typeof this.options.maxRelogins !== 'number') this.options.maxRelogins = 2;
+        if (this.options.historyWindowDays === undefined || this.options.historyWindowDays === null) this.options.historyWindowDays = 90;
+        if (!this.options.moneyFormat) this.options.moneyFormat = MONEY_FORMATS.NUMBER;
+        if (typeof this.options.strictValidation !== 'boolean') this.options.strictValidation = false;
+
+        if (!Number.isInteger(this.options.historyWindowDays) || this.options.historyWindowDays <= 0)
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, `Opção historyWindowDays inválida: ${this.options.historyWindowDays}. Informe um número inteiro de dias maior que zero`);
     }
 
     async login() {
         this._isLogged = false;
+        this._isRestoredSession = false;
+        this._isSessionStoreLoaded = true;
         await this._login();
     }
 
+    /**
+     * Returns the current session, which can be restored later with `importSession`
+     * @returns {Promise<typedefs.CeiSession>} - Session in a JSON serializable format
+     */
+    async exportSession() {
+        return {
+            username: this.username,
+            isLogged: this._isLogged,
+            cookies: await this._cookieManager.exportCookies()
+        };
+    }
+
+    /**
+     * Restores a session exported by `exportSession`. The session is only validated in the next request,
+     * if it has expired a new login is done
+     * @param {typedefs.CeiSession|String} session - Session object or its JSON string
+     */
+    async importSession(session) {
+        if (typeof session === 'string')
+            session = JSON.parse(session);
+
+        // Ignore sessions from another user
+        if (!session || session.username !== this.username) return;
+
+        await this._cookieManager.importCookies(session.cookies);
+        this._isLogged = session.isLogged;
+        this._isRestoredSession = session.isLogged;
+    }
+
     async _login() {
         if (this._isLogged) return;
 
+        if (this.options.sessionStore && !this._isSessionStoreLoaded) {
+            this._isSessionStoreLoaded = true;
+            await this.importSession(await this.options.sessionStore.load());
+            if (this._isLogged) return;
+        }
+
         /* istanbul ignore next */
         if ((this.options && this.options.trace) || false)
             console.log('Logging at CEI...');
 
-        const getPageLogin = await this._cookieManager.fetch("https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx");
+        const getPageLogin = await this._cookieManager.fetch(CeiEndpoints.LOGIN_PAGE);
         const doomLoginPage = cheerio.load(await getPageLogin.text());
 
         doomLoginPage('#ctl00_ContentPlaceHolder1_txtLogin').attr('value', this.username);
@@ -88,7 +147,7 @@ class CeiCrawler {
         });
 
         await CeiUtils.retry(async () => {
-            const postLogin = await this._cookieManager.fetch("https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx", {
+            const postLogin = await this._cookieManager.fetch(CeiEndpoints.LOGIN_PAGE, {
                 "headers": {
                     "accept": "*/*",
                     "accept-language": "pt-BR,pt;q=0.9,en-US;q=0.8,en;q=0.7",
@@ -101,7 +160,6 @@ class CeiCrawler {
                     "x-requested-with": "XMLHttpRequest",
                     'Connection': 'keep-alive'
                 },
-                "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx",
                 "referrerPolicy": "strict-origin-when-cross-origin",
                 "body": formData,
                 "method": "POST",
@@ -124,17 +182,80 @@ class CeiCrawler {
                 throw new CeiCrawlerError(CeiErrorTypes.LOGIN_FAILED, info.message || 'Login falhou');
             }
         }, e => e.type === CeiErrorTypes.LOGIN_FAILED && e.message.includes('could not be activated'));
+
+        if (this.options.sessionStore)
+            await this.options.sessionStore.save(await this.exportSession());
+    }
+
+    /**
+     * Runs a crawler operation after login. When the session expires in the middle of it, logs in again
+     * and runs the operation once more, skipping the institution/account pairs already crawled.
+     * A restored session that has expired is replaced without counting towards `maxRelogins`
+     * With `concurrency` above 1, the workers that find the session expired wait for a single relogin and crawl their own accounts again
+     * @param {function(Map<String, Object>): Promise<any>} operation - Async function performing the requests, receiving the crawl progress
+     * @returns {Promise<any>} - Result of the operation
+     */
+    async _runLogged(operation) {
+        const progress = new Map();
+        let relogins = 0;
+
+        const relogin = async error => {
+            this._isLogged = false;
+
+            if (!this._isRestoredSession && relogins++ >= this.options.maxRelogins)
+                throw error;
+
+            /* istanbul ignore next */
+            if ((this.options && this.options.trace) || false)
+                console.log('Session has expired, logging in again');
+
+            await this.login();
+        };
+
+        await this._login();
+
+        // Concurrent workers share the relogin through the cookie manager, so only one login is done when the session expires
+        const removeReloginHandler = this._cookieManager.addReloginHandler(relogin);
+
+        try {
+            while (true) {
+                const sessionId = this._cookieManager.sessionId;
+                try {
+                    const result = await operation(progress);
+                    this._isRestoredSession = false;
+                    return result;
+                } catch (e) {
+                    if (e.type !== CeiErrorTypes.SESSION_HAS_EXPIRED)
+                        throw e;
+
+                    await this._cookieManager.relogin(sessionId, e, relogin);
+                }
+            }
+        } finally {
+            removeReloginHandler();
+        }
     }
 
     /**
      * Returns the stock history
      * @param {Date} [startDate] - The start date of the history
      * @param {Date} [endDate]  - The end date of the history
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
      * @returns {Promise<typedefs.StockHistory[]>} - List of Stock histories
      */
-    async getStockHistory(startDate, endDate) {
-        await this._login();
-        return await StockHistoryCrawler.getStockHistory(this._cookieManager, this.options, startDate, endDate);
+    async getStockHistory(startDate, endDate, filter) {
+        return await this._runLogged(progress => StockHistoryCrawler.getStockHistory(this._cookieManager, this.options, startDate, endDate, filter, progress));
+    }
+
+    /**
+     * Returns the stock history of a date range of any length, crawling it in windows accepted by CEI
+     * @param {Date} [startDate] - The start date of the history, the first date available by default
+     * @param {Date} [endDate]  - The end date of the history, the last date available by default
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
+     * @returns {Promise<typedefs.StockHistory[]>} - List of Stock histories
+     */
+    async getFullStockHistory(startDate, endDate, filter) {
+        return await this._runLogged(progress => StockHistoryCrawler.getFullStockHistory(this._cookieManager, this.options, startDate, endDate, filter, progress));
     }
 
     /**
@@ -142,18 +263,17 @@ class CeiCrawler {
      * @returns {Promise<typedefs.StockHistoryOptions>} - Options for stock history
      */
     async getStockHistoryOptions() {
-        await this._login();
-        return await StockHistoryCrawler.getStockHistoryOptions(this._cookieManager, this.options);
+        return await this._runLogged(() => StockHistoryCrawler.getStockHistoryOptions(this._cookieManager, this.options));
     }
 
     /**
      * Returns the dividends data for each account in CEI
      * @param {Date} [date] - The date to get the dividends
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
      * @returns {Promise<typedefs.DividendData} - List of available Dividends information
      */
-    async getDividends(date) {
-        await this._login();
-        return await DividendsCrawler.getDividends(this._cookieManager, this.options, date);
+    async getDividends(date, filter) {
+        return await this._runLogged(progress => DividendsCrawler.getDividends(this._cookieManager, this.options, date, filter, progress));
     }
 
     /**
@@ -161,18 +281,29 @@ class CeiCrawler {
      * @returns {Promise<typedefs.DividendsOptions>} - Options for dividends
      */
     async getDividendsOptions() {
-        await this._login();
-        return await DividendsCrawler.getDividendsOptions(this._cookieManager, this._options);
+        return await this._runLogged(() => DividendsCrawler.getDividendsOptions(this._cookieManager, this._options));
     }
 
     /**
      * Returns the wallets for each account in CEI
      * @param {Date} [date] - The date to get the wallet
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
      * @returns {Promise<typedefs.AccountWallet>} - List of available Dividends information
      */
-    async getWallet(date) {
-        await this._login();
-        return await WalletCrawler.getWallet(this._cookieManager, this.options, date);
+    async getWallet(date, filter) {
+        return await this._runLogged(progress => WalletCrawler.getWallet(this._cookieManager, this.options, date, filter, progress));
+    }
+
+    /**
+     * Returns the totals of the wallet of each account in every date of a range
+     * @param {Date} [startDate] - The start date of the series, the first date available by default
+     * @param {Date} [endDate] - The end date of the series, the last date available by default
+     * @param {Number} [step] - Number of days between the dates, every business day by default
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
+     * @returns {Promise<typedefs.AccountWalletSeries[]>} - Series of each account
+     */
+    async getWalletSeries(startDate, endDate, step, filter) {
+        return await this._runLogged(progress => WalletCrawler.getWalletSeries(this._cookieManager, this.options, startDate, endDate, step, filter, progress));
     }
 
     /**
@@ -180,18 +311,17 @@ class CeiCrawler {
      * @returns {Promise<typedefs.WalletOptions>} - Options for wallet
      */
     async getWalletOptions() {
-        await this._login();
-        return await WalletCrawler.getWalletOptions(this._cookieManager, this._options);
+        return await this._runLogged(() => WalletCrawler.getWalletOptions(this._cookieManager, this._options));
     }
 
     /**
      * Returns the treasure for each account in CEI
      * @param {Date} [date] - The date to get the wallet
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
      * @returns {Promise<typedefs.TreasureItem[]>} - List of available Treasure information
      */
-    async getTreasures(date) {
-        await this._login();
-        return await TreasureCrawler.getTreasure(this._cookieManager, this.options, date);
+    async getTreasures(date, filter) {
+        return await this._runLogged(progress => TreasureCrawler.getTreasure(this._cookieManager, this.options, date, filter, progress));
     }
 
     /**
@@ -199,8 +329,16 @@ class CeiCrawler {
      * @returns {Promise<typedefs.TreasureOptions>} - Options for treasure
      */
     async getTreasureOptions() {
-        await this._login();
-        return await TreasureCrawler.getTreasureOptions(this._cookieManager, this._options);
+        return await this._runLogged(() => TreasureCrawler.getTreasureOptions(this._cookieManager, this._options));
+    }
+
+    /**
+     * Checks that the pages of CEI still have the selectors and form fields used by the crawler,
+     * to detect layout changes before they make the methods return empty results
+     * @returns {Promise<typedefs.HealthCheckReport>} - Missing selectors and form fields of each page
+     */
+    async healthCheck() {
+        return await this._runLogged(() => HealthCheck.check(this._cookieManager, this.options));
     }
 
 }
@@ -11,7 +11,9 @@ const CeiErrorTypes = Object.freeze({
     WRONG_PASSWORD: 'WRONG_PASSWORD',
     SUBMIT_ERROR: 'SUBMIT_ERROR',
     SESSION_HAS_EXPIRED: 'SESSION_HAS_EXPIRED',
-    NAVIGATION_TIMEOUT: 'NAVIGATION_TIMEOUT'
+    NAVIGATION_TIMEOUT: 'NAVIGATION_TIMEOUT',
+    PARSE_ERROR: 'PARSE_ERROR',
+    LAYOUT_CHANGED: 'LAYOUT_CHANGED'
 });
 
 module.exports = {
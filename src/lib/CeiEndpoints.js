@@ -0,0 +1,72 @@
+const DEFAULT_BASE_URL = 'https://ceiapp.b3.com.br/CEI_Responsivo/';
+
+const LOGIN_PAGE = 'login.aspx';
+
+// Headers sent to CEI when no base URL is configured
+const DEFAULT_HEADERS = Object.freeze({
+    'Host': 'cei.b3.com.br',
+    'Origin': 'https://cei.b3.com.br',
+    'Referer': 'https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx'
+});
+
+/**
+ * Resolves the URLs of the CEI pages given a base URL and overrides for renamed pages
+ */
+class CeiEndpoints {
+
+    /** @type {String} */
+    _baseUrl = DEFAULT_BASE_URL;
+
+    /** @type {Object<String, String>} */
+    _pages = {};
+
+    /** @type {boolean} - Whether a base URL other than the default one was passed */
+    _isCustomBaseUrl = false;
+
+    /**
+     * @param {String} [baseUrl] - Base URL of the CEI pages
+     * @param {Object<String, String>} [pages] - Map of default page name (e.g. `negociacao-de-ativos.aspx`) to the page to be used instead
+     */
+    constructor(baseUrl = null, pages = null) {
+        baseUrl = baseUrl || DEFAULT_BASE_URL;
+        this._baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        this._isCustomBaseUrl = this._baseUrl !== DEFAULT_BASE_URL;
+        this._pages = pages || {};
+    }
+
+    /** @type {String} */
+    get baseUrl() { return this._baseUrl; }
+
+    /** @type {String} */
+    get loginUrl() { return this.getUrl(LOGIN_PAGE); }
+
+    /**
+     * Returns the absolute URL of a page
+     * @param {String} page - Page name as used by the crawlers, or an absolute URL
+     * @returns {String} - Absolute URL of the page
+     */
+    getUrl(page) {
+        return new URL(this._pages[page] || page, this._baseUrl).href;
+    }
+
+    /**
+     * Returns the Host, Origin and Referer headers for the requests, derived from the base URL when one was passed
+     * @returns {Object} - Headers
+     */
+    getDefaultHeaders() {
+        if (!this._isCustomBaseUrl)
+            return { ...DEFAULT_HEADERS };
+
+        const { host, origin } = new URL(this._baseUrl);
+        return {
+            'Host': host,
+            'Origin': origin,
+            'Referer': this.loginUrl
+        };
+    }
+}
+
+module.exports = CeiEndpoints;
+module.exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+module.exports.LOGIN_PAGE = LOGIN_PAGE;
+module.exports.DEFAULT_HEADERS = DEFAULT_HEADERS;
@@ -1,3 +1,75 @@
+const typedefs = require("./typedefs");
+const { CeiCrawlerError, CeiErrorTypes } = require("./CeiCrawlerError");
+const MoneyUtils = require("./MoneyUtils");
+const { MONEY_FORMATS } = MoneyUtils;
+
+// pt-BR numbers, with dots as thousands separators and a comma before the decimals
+const DECIMAL_REGEX = /^(\d{1,3}(?:\.\d{3})+|\d+)(?:,(\d+))?$/;
+const DATE_REGEX = /^\d{2}\/\d{2}\/\d{4}$/;
+
+// Dates outside of this range are considered parsing errors. The custody records shown by CEI start with CBLC,
+// the B3 depository created in 1997, and the longest Tesouro Direto bonds mature a few decades ahead
+const DATE_RANGE = Object.freeze({
+    min: new Date(1997, 0, 1),
+    max: new Date(2100, 0, 1)
+});
+
+const COLUMN_TYPES = Object.freeze({
+    STRING: "string",
+    INT: "int",
+    FLOAT: "float",
+    MONEY: "money",
+    PERCENT: "percent",
+    DECIMAL: "decimal",
+    DATE: "date"
+});
+
+// Checks of the parsed values of each type
+const isNumber = (value) => typeof value === "number" && isFinite(value);
+const VALUE_CHECKS = {
+    [COLUMN_TYPES.STRING]: (value) => typeof value === "string",
+    [COLUMN_TYPES.INT]: (value) => Number.isInteger(value),
+    [COLUMN_TYPES.FLOAT]: isNumber,
+    [COLUMN_TYPES.PERCENT]: isNumber,
+    [COLUMN_TYPES.DECIMAL]: (value) => typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value),
+    [COLUMN_TYPES.DATE]: (value) => value instanceof Date && !isNaN(value)
+};
+
+// Type of the money values in each moneyFormat
+const MONEY_VALUE_TYPES = {
+    [MONEY_FORMATS.NUMBER]: COLUMN_TYPES.FLOAT,
+    [MONEY_FORMATS.CENTS]: COLUMN_TYPES.INT,
+    [MONEY_FORMATS.DECIMAL]: COLUMN_TYPES.DECIMAL
+};
+
+// Parsers of the trimmed cell text, returning undefined for invalid values. Money is returned in the `moneyFormat` of the options
+const VALUE_PARSERS = {
+    [COLUMN_TYPES.STRING]: (text) => text,
+    [COLUMN_TYPES.INT]: (text) => {
+        const decimal = CeiUtils.parseDecimal(text);
+        return decimal !== null && !decimal.includes(".") ? parseInt(decimal) : undefined;
+    },
+    [COLUMN_TYPES.FLOAT]: (text) => {
+        const decimal = CeiUtils.parseDecimal(text);
+        return decimal !== null ? parseFloat(decimal) : undefined;
+    },
+    [COLUMN_TYPES.MONEY]: (text, options) => {
+        const decimal = CeiUtils.parseDecimal(text);
+        return decimal !== null ? MoneyUtils.convert(decimal, MONEY_FORMATS.DECIMAL, options.moneyFormat || MONEY_FORMATS.NUMBER) : undefined;
+    },
+    [COLUMN_TYPES.PERCENT]: (text) => VALUE_PARSERS[COLUMN_TYPES.FLOAT](text),
+    [COLUMN_TYPES.DECIMAL]: (text) => {
+        const decimal = CeiUtils.parseDecimal(text);
+        return decimal !== null ? decimal : undefined;
+    },
+    [COLUMN_TYPES.DATE]: (text) => {
+        if (text === "01/01/0001") return null;
+        if (!DATE_REGEX.test(text)) return undefined;
+        const date = CeiUtils.getDateFromInput(text);
+        return CeiUtils.getDateForInput(date) === text ? date : undefined;
+    }
+};
+
 class CeiUtils {
     /**
      * Returns a date in the format dd/MM/yyyy for input at CEI
@@ -19,29 +91,329 @@ class CeiUtils {
     }
 
     /**
-     * Parse the table data to its type configuration
+     * Parses a number displayed by CEI in the pt-BR format, like `1.234.567,89`, `-12,5%` or `R$ 10,00`.
+     * Negative values may have a minus sign, before or after the `R$` prefix, or be enclosed in parentheses
+     * @param {String} value - The number as displayed by CEI
+     * @returns {String|null} - The number as a decimal string, like `-1234567.89`, or null if the value is not a number
+     */
+    static parseDecimal(value) {
+        if (typeof value !== "string") return null;
+
+        let str = value.replace(/\u00a0/g, " ").trim();
+        let negative = false;
+        if (/^\(.*\)$/.test(str)) {
+            negative = true;
+            str = str.slice(1, -1).trim();
+        }
+        // Keeps a sign written before the prefix, so `- R$ 10,00` and `R$ -10,00` are read the same way
+        str = str.replace(/^([-\u2212]?)\s*R\$\s*/, "$1");
+        if (/^[-\u2212]/.test(str)) {
+            negative = true;
+            str = str.slice(1).trim();
+        }
+        str = str.replace(/\s*%$/, "");
+
+        const match = DECIMAL_REGEX.exec(str);
+        if (!match) return null;
+
+        const integer = match[1].replace(/\./g, "").replace(/^0+(?=\d)/, "");
+        const fraction = match[2] || "";
+        const isZero = /^0*$/.test(integer + fraction);
+        return `${negative && !isZero ? "-" : ""}${integer}${fraction ? `.${fraction}` : ""}`;
+    }
+
+    /**
+     * Parses a value of a table cell to its column type. Types ending with `?` are nullable,
+     * returning null for empty cells. Values that do not match the type throw a PARSE_ERROR
+     * @param {String} value - The cell text
+     * @param {String} type - One of the COLUMN_TYPES, optionally followed by `?`
+     * @param {String} [column] - Name of the column, used in the error message
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, with the `moneyFormat` of the money columns
+     * @returns {any} - The parsed value
+     */
+    static parseValue(value, type, column = "", options = null) {
+        const nullable = type.endsWith("?");
+        const baseType = nullable ? type.slice(0, -1) : type;
+        const parser = VALUE_PARSERS[baseType];
+        if (!parser)
+            throw new CeiCrawlerError(CeiErrorTypes.PARSE_ERROR, `Tipo de coluna desconhecido: ${type}`);
+
+        if (baseType === COLUMN_TYPES.STRING) return value;
+
+        const text = typeof value === "string" ? value.trim() : "";
+        if (nullable && (text === "" || text === "-")) return null;
+
+        const parsed = parser(text, options || {});
+        if (parsed === undefined)
+            throw new CeiCrawlerError(CeiErrorTypes.PARSE_ERROR, `Valor inválido para a coluna ${column} (${type}): "${value === undefined ? "" : value}"`);
+        return parsed;
+    }
+
+    /**
+     * Parse the table data to its type configuration. When the validation is not strict, invalid values
+     * become null and are reported in the `warnings` of their row instead of throwing a PARSE_ERROR
      * @param {Array} tableData - The data of the table, an array of objects
+     * @param {Object} tableDefinition - Object defining the table types in format (column, type), with the types of COLUMN_TYPES
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, with the `moneyFormat` of the money columns and `strictValidation`
+     */
+    static parseTableTypes(tableData, tableDefinition, options = null) {
+        const strict = this.isStrictValidation(options);
+
+        return tableData.map((row) => {
+            const warnings = [];
+            const parsed = Object.keys(tableDefinition).reduce((p, c) => {
+                try {
+                    p[c] = this.parseValue(row[c], tableDefinition[c], c, options);
+                } catch (err) {
+                    if (strict || err.type !== CeiErrorTypes.PARSE_ERROR) throw err;
+                    p[c] = null;
+                    warnings.push({ field: c, message: err.message });
+                }
+                return p;
+            }, {});
+
+            if (warnings.length > 0) parsed.warnings = warnings;
+            return parsed;
+        });
+    }
+
+    /**
+     * Validates the rows returned by parseTableTypes: the types of the values, the required fields,
+     * dates within DATE_RANGE, no trade dates later than today and non-negative quantities and values. When the validation is strict the
+     * first problem throws a PARSE_ERROR, otherwise the problems are added to the `warnings` of the row
+     * @param {Object[]} rows - Rows returned by parseTableTypes
      * @param {Object} tableDefinition - Object defining the table types in format (column, type)
+     * @param {typedefs.TableRules} rules - Required, non-negative and non-future fields of the table
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, with the `moneyFormat` and `strictValidation`
+     * @returns {Object[]} - The same rows
      */
-    static parseTableTypes(tableData, tableDefinition) {
-        // Helper function
-        const parseValue = (value, type) => {
-            if (type === "string") return value;
-            if (type === "int") return parseInt(value.replace(".", ""));
-            if (type === "float")
-                return parseFloat(value.replace(".", "").replace(",", "."));
-            if (type === "date")
-                return value === "01/01/0001"
-                    ? null
-                    : new Date(value.split("/").reverse());
+    static validateRows(rows, tableDefinition, rules, options = null) {
+        const strict = this.isStrictValidation(options);
+        const moneyFormat = (options && options.moneyFormat) || MONEY_FORMATS.NUMBER;
+        const required = new Set(rules.required || []);
+        const nonNegative = new Set(rules.nonNegative || []);
+        const nonFuture = new Set(rules.nonFuture || []);
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        rows.forEach((row, idx) => {
+            const warned = new Set((row.warnings || []).map((warning) => warning.field));
+            const warnings = [];
+
+            for (const field of Object.keys(tableDefinition)) {
+                if (warned.has(field)) continue;
+
+                const message = this._validateValue(row[field], tableDefinition[field], moneyFormat, required.has(field), nonNegative.has(field), nonFuture.has(field) ? today : null);
+                if (message === null) continue;
+
+                if (strict)
+                    throw new CeiCrawlerError(CeiErrorTypes.PARSE_ERROR, `Linha ${idx + 1}, coluna ${field}: ${message}`);
+                warnings.push({ field, message });
+            }
+
+            if (warnings.length > 0) row.warnings = [...(row.warnings || []), ...warnings];
+        });
+
+        return rows;
+    }
+
+    /**
+     * Whether invalid values throw a PARSE_ERROR or are reported as warnings, the default
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler
+     * @returns {boolean} - True only if `strictValidation` is true
+     */
+    static isStrictValidation(options) {
+        return !!options && options.strictValidation === true;
+    }
+
+    /**
+     * Returns the problem of a parsed value, if any
+     * @param {any} value - The parsed value
+     * @param {String} type - Type of the column
+     * @param {String} moneyFormat - Format of the money columns
+     * @param {boolean} required - Whether the value can not be empty
+     * @param {boolean} nonNegative - Whether the value can not be negative
+     * @param {Date} [maxDate] - Latest date allowed, for dates that can not be in the future
+     * @returns {String|null} - Description of the problem, or null if the value is valid
+     */
+    static _validateValue(value, type, moneyFormat, required, nonNegative, maxDate = null) {
+        if (value === null || value === undefined || value === "") {
+            if (required) return "valor obrigatório não informado";
+            // Only strings can be missing without being nullable, the other types are checked when parsed
+            return type === COLUMN_TYPES.STRING && value === undefined ? "coluna ausente na linha" : null;
+        }
+
+        const baseType = type.endsWith("?") ? type.slice(0, -1) : type;
+        const valueType = baseType === COLUMN_TYPES.MONEY ? MONEY_VALUE_TYPES[moneyFormat] : baseType;
+        if (!VALUE_CHECKS[valueType](value)) return `valor inválido para o tipo ${type}: ${value}`;
+        if (valueType === COLUMN_TYPES.DATE && (value < DATE_RANGE.min || value > DATE_RANGE.max))
+            return `data fora do intervalo esperado: ${this.getDateForInput(value)}`;
+        if (valueType === COLUMN_TYPES.DATE && maxDate && value > maxDate)
+            return `data futura: ${this.getDateForInput(value)}`;
+
+        const negative = typeof value === "number" ? value < 0 : typeof value === "string" && value.startsWith("-");
+        if (nonNegative && negative) return `valor negativo: ${value}`;
+
+        return null;
+    }
+
+    /**
+     * Normalizes a column label for comparison, ignoring case, accents, spaces and punctuation
+     * @param {String} label - The label, like `Preço (R$)*`
+     * @returns {String} - The normalized label, like `precor`
+     */
+    static normalizeLabel(label) {
+        return label
+            .normalize("NFD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/[^a-z0-9%]/g, "");
+    }
+
+    /**
+     * Reads the cells of the rows of a table by the labels of its header, so columns added or
+     * reordered by CEI do not shift the data into the wrong fields. Columns without a field are ignored
+     * @param {cheerio.Root} dom - DOM of the page
+     * @param {cheerio.Cheerio} rows - Rows of the table body
+     * @param {Object<String, String[]>} tableLabels - Labels of the column of each field, as displayed by CEI
+     * @returns {Object[]} - Text of the cells of each row, by field
+     */
+    static extractTableRows(dom, rows, tableLabels) {
+        if (rows.length === 0) return [];
+
+        const table = dom(rows.get(0)).closest("table");
+        let headerCells = table.find("thead th");
+        if (headerCells.length === 0) headerCells = table.find("tr").first().find("th");
+        const labels = headerCells.map((_, th) => dom(th).text().trim()).get();
+        const normalizedLabels = labels.map((label) => this.normalizeLabel(label));
+
+        const columns = {};
+        const missing = [];
+        for (const field of Object.keys(tableLabels)) {
+            const expected = tableLabels[field].map((label) => this.normalizeLabel(label));
+            const idx = normalizedLabels.findIndex((label) => expected.includes(label));
+            if (idx === -1) missing.push(`${field} (${tableLabels[field].join(" / ")})`);
+            else columns[field] = idx;
+        }
+
+        if (missing.length > 0)
+            throw new CeiCrawlerError(CeiErrorTypes.LAYOUT_CHANGED,
+                `Colunas não encontradas na tabela: ${missing.join(", ")}. Colunas da tabela: ${labels.join(", ")}`);
+
+        return rows
+            .map((_, tr) => {
+                const cells = dom("td", tr).map((_, td) => dom(td).text().trim()).get();
+                return Object.keys(columns).reduce((dict, field) => {
+                    dict[field] = cells[columns[field]];
+                    return dict;
+                }, {});
+            })
+            .get();
+    }
+
+    /**
+     * Returns the type of the values of a column type, used by the exporters
+     * @param {String} type - Type of the column, as in the *_TABLE_HEADER definitions
+     * @returns {String} - `string`, `int`, `float` or `date`
+     */
+    static getValueType(type) {
+        const baseType = type.endsWith("?") ? type.slice(0, -1) : type;
+        if (baseType === COLUMN_TYPES.MONEY || baseType === COLUMN_TYPES.PERCENT) return COLUMN_TYPES.FLOAT;
+        if (baseType === COLUMN_TYPES.DECIMAL) return COLUMN_TYPES.STRING;
+        return baseType;
+    }
+
+    /**
+     * Whether a column type holds monetary values, returned in the `moneyFormat` of the options
+     * @param {String} type - Type of the column, as in the *_TABLE_HEADER definitions
+     * @returns {boolean} - True for `money` and `money?`
+     */
+    static isMoneyType(type) {
+        return type === COLUMN_TYPES.MONEY || type === `${COLUMN_TYPES.MONEY}?`;
+    }
+
+    /**
+     * Normalizes the filter accepted by the crawlers into predicates for institutions and accounts
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled, all of them by default
+     * @returns {{institution: function({value: String, label: String}): boolean, account: function({value: String, label: String}, String): boolean}} - Whether an institution, and an account of it, should be crawled
+     */
+    static createInstitutionFilter(filter = null) {
+        if (!filter) {
+            return {
+                institution: () => true,
+                account: () => true
+            };
+        }
+
+        if (typeof filter === "function") {
+            return {
+                institution: () => true,
+                account: (institution, account) => filter(institution, account)
+            };
+        }
+
+        // List of institutions as returned by the get*Options methods
+        if (Array.isArray(filter)) {
+            const findOption = (institution) => filter.find((option) => String(option.value) === String(institution.value));
+            return {
+                institution: (institution) => findOption(institution) !== undefined,
+                account: (institution, account) => {
+                    const option = findOption(institution);
+                    return !option.accounts || option.accounts.map(String).includes(String(account));
+                }
+            };
+        }
+
+        const institutions = filter.institutions ? filter.institutions.map(String) : null;
+        const accounts = filter.accounts ? filter.accounts.map(String) : null;
+        return {
+            institution: (institution) => !institutions || institutions.includes(String(institution.value)),
+            account: (_, account) => !accounts || accounts.includes(String(account))
         };
+    }
 
-        return tableData.map((row) =>
-            Object.keys(tableDefinition).reduce((p, c) => {
-                p[c] = parseValue(row[c], tableDefinition[c]);
-                return p;
-            }, {})
-        );
+    /**
+     * Splits a date range into consecutive windows with at most `maxDays` days each
+     * @param {Date} startDate - Start of the range
+     * @param {Date} endDate - End of the range, inclusive
+     * @param {Number} maxDays - Maximum number of days in each window, a positive integer
+     * @returns {{startDate: Date, endDate: Date}[]} - Windows covering the whole range
+     */
+    static splitDateRange(startDate, endDate, maxDays) {
+        if (!Number.isInteger(maxDays) || maxDays <= 0)
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, `Número de dias da janela inválido: ${maxDays}. Informe um número inteiro de dias maior que zero`);
+
+        const windows = [];
+        let windowStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+
+        while (windowStart <= endDate) {
+            const windowEnd = new Date(windowStart.getFullYear(), windowStart.getMonth(), windowStart.getDate() + maxDays - 1);
+            windows.push({ startDate: windowStart, endDate: windowEnd < endDate ? windowEnd : endDate });
+            windowStart = new Date(windowEnd.getFullYear(), windowEnd.getMonth(), windowEnd.getDate() + 1);
+        }
+
+        return windows;
+    }
+
+    /**
+     * Returns the dates of a range, either every business day (monday to friday) or every `step` days
+     * @param {Date} startDate - Start of the range
+     * @param {Date} endDate - End of the range, inclusive
+     * @param {Number} [step] - Number of days between the dates, a positive integer. If none passed, the business days are returned
+     * @returns {Date[]} - Dates of the range
+     */
+    static getDatesInRange(startDate, endDate, step = null) {
+        if (step !== null && !(Number.isInteger(step) && step > 0))
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, `Intervalo entre as datas inválido: ${step}. Informe um número inteiro de dias maior que zero`);
+
+        const dates = [];
+        for (let date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+            date <= endDate;
+            date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + (step || 1))) {
+            if (step || (date.getDay() !== 0 && date.getDay() !== 6))
+                dates.push(date);
+        }
+        return dates;
     }
 
     /**
@@ -86,6 +458,139 @@ class CeiUtils {
         return result;
     }
 
+    /**
+     * Maps the items with an async callback, running at most `concurrency` callbacks at the same time
+     * @param {Array} items - Items to be mapped
+     * @param {Number} concurrency - Maximum number of callbacks running at the same time
+     * @param {Function} callback - Async function receiving the item and its index
+     * @param {FetchCookieManager} [cookieManager] - Session of the callbacks. When one of them finds the session expired, the
+     * workers wait for a single relogin of the cookie manager and run the callback of their item again, which must load its own page
+     * @returns {Promise<Array>} - Results in the same order of the items
+     */
+    static async mapConcurrently(items, concurrency, callback, cookieManager = null) {
+        const results = new Array(items.length);
+        let nextIdx = 0;
+        let failed = false;
+
+        const worker = async () => {
+            while (!failed && nextIdx < items.length) {
+                const idx = nextIdx++;
+                while (true) {
+                    const sessionId = cookieManager ? cookieManager.sessionId : 0;
+                    try {
+                        results[idx] = await callback(items[idx], idx);
+                        break;
+                    } catch (e) {
+                        const canRelogin = !failed && cookieManager && cookieManager.canRelogin && e.type === CeiErrorTypes.SESSION_HAS_EXPIRED;
+                        if (!canRelogin) {
+                            failed = true;
+                            throw e;
+                        }
+
+                        // The item is crawled again after the login shared by the workers
+                        try {
+                            await cookieManager.relogin(sessionId, e);
+                        } catch (reloginError) {
+                            failed = true;
+                            throw reloginError;
+                        }
+                    }
+                }
+            }
+        };
+
+        const workers = Math.max(1, Math.min(concurrency, items.length));
+        await Promise.all(Array.from({ length: workers }, () => worker()));
+
+        return results;
+    }
+
+    /**
+     * Returns the result of an institution/account pair already crawled, or crawls and stores it
+     * @param {Map<String, Object>} progress - Results of the pairs already crawled. If null, the pair is always crawled
+     * @param {typedefs.InstitutionOption} institution - The institution option
+     * @param {String} account - The account number
+     * @param {Function} callback - Async function crawling the pair
+     * @returns {Promise<Object>} - Result of the pair
+     */
+    static async resumeAccount(progress, institution, account, callback) {
+        if (!progress) return await callback();
+
+        const key = `${institution.value}/${account}`;
+        if (!progress.has(key))
+            progress.set(key, await callback());
+
+        return progress.get(key);
+    }
+
+    /**
+     * Crawls every account of the institutions of a page. With `options.concurrency` greater than one the accounts
+     * are crawled in parallel, each one loading its own page and selecting its institution again
+     * @param {cheerio.Root} domPage - DOM of the page, already loaded with `crawler.loadPage`
+     * @param {Object} crawler - How the page of the crawler is handled
+     * @param {String} crawler.institutionOptions - Selector of the options of the institutions
+     * @param {function(): Promise<cheerio.Root>} crawler.loadPage - Loads a new page for an account crawled in parallel
+     * @param {function(cheerio.Root, typedefs.InstitutionOption): Promise<String[]|{accounts: String[], updtForm: Object[]}>} crawler.selectInstitution - Selects
+     * the institution in the page and returns its accounts. When the fields updated by the selection are returned, they are set again after each account
+     * @param {function(cheerio.Root, typedefs.InstitutionOption, String): Promise<Object>} crawler.getAccountData - Selects the account in the page and returns its data
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
+     * @returns {Promise<Object[]>} - Data of each account
+     */
+    static async crawlAccounts(domPage, crawler, cookieManager, options = null, filter = null, progress = null) {
+        const traceOperations = (options && options.trace) || false;
+        const concurrency = (options && options.concurrency) || 1;
+
+        const result = [];
+        const institutionFilter = this.createInstitutionFilter(filter);
+
+        // Get all institutions to iterate
+        const institutions = domPage(crawler.institutionOptions)
+            .map((_, option) => ({
+                value: option.attribs.value,
+                label: domPage(option).text()
+            })).get()
+            .filter(institution => institution.value > 0)
+            .filter(institution => institutionFilter.institution(institution));
+
+        // Accounts to be crawled in parallel, each one with its own page
+        const pendingAccounts = [];
+
+        for (const institution of institutions) {
+            /* istanbul ignore next */
+            if (traceOperations)
+                console.log(`Selecting institution ${institution.label} (${institution.value})`);
+
+            const selection = await crawler.selectInstitution(domPage, institution);
+            const accounts = (Array.isArray(selection) ? selection : selection.accounts)
+                .filter(account => institutionFilter.account(institution, account));
+
+            for (const account of accounts) {
+                if (concurrency > 1) {
+                    pendingAccounts.push({ institution, account });
+                    continue;
+                }
+
+                result.push(await this.resumeAccount(progress, institution, account,
+                    () => crawler.getAccountData(domPage, institution, account)));
+
+                if (selection.updtForm)
+                    this.updateFieldsDOM(domPage, selection.updtForm);
+            }
+        }
+
+        const concurrentResult = await this.mapConcurrently(pendingAccounts, concurrency, ({ institution, account }) =>
+            this.resumeAccount(progress, institution, account, async () => {
+                const accountDomPage = await crawler.loadPage();
+                await crawler.selectInstitution(accountDomPage, institution);
+                return await crawler.getAccountData(accountDomPage, institution, account);
+            }), cookieManager);
+
+        return [...result, ...concurrentResult];
+    }
+
     /**
      * Returns FormData in string format from DOM
      * @param {cheerio.Root} dom - DOM of the page
@@ -192,3 +697,5 @@ class CeiUtils {
 }
 
 module.exports = CeiUtils;
+module.exports.COLUMN_TYPES = COLUMN_TYPES;
+module.exports.DATE_RANGE = DATE_RANGE;
@@ -6,7 +6,7 @@ const cheerio = require('cheerio');
 const normalizeWhitespace = require('normalize-html-whitespace');
 
 const PAGE = {
-    URL: 'https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarProventos.aspx',
+    URL: 'ConsultarProventos.aspx',
     SUBMIT_BUTTON: '#ctl00_ContentPlaceHolder1_btnConsultar',
     TABLE_CLASS: '.responsive tbody',
     TABLE_CLASS_ROWS: '.responsive tbody tr',
@@ -32,8 +32,25 @@ const DIVIDENDS_TABLE_HEADERS = {
     type: 'string',
     quantity: 'int',
     factor: 'int',
-    grossValue: 'float',
-    netValue: 'float'
+    grossValue: 'money',
+    netValue: 'money'
+};
+
+const DIVIDENDS_TABLE_LABELS = {
+    stock: ['Ativo'],
+    stockType: ['Tipo Ativo'],
+    code: ['Cód. Neg.', 'Código Negociação'],
+    date: ['Data pagamento', 'Data de Pagamento'],
+    type: ['Tipo Evento'],
+    quantity: ['Quantidade Base'],
+    factor: ['Fator'],
+    grossValue: ['Valor Bruto (R$)'],
+    netValue: ['Valor Líquido (R$)']
+};
+
+const DIVIDENDS_TABLE_RULES = {
+    required: ['code', 'type'],
+    nonNegative: ['quantity', 'factor', 'grossValue', 'netValue']
 };
 
 const FETCH_OPTIONS = {
@@ -49,7 +66,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarProventos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -68,7 +84,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarProventos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -115,15 +130,33 @@ class DividendsCrawler {
      * Gets dividends data available on CEI page.
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Date} [date] - The date of the history. If none passed, the default of CEI will be used
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
      * @returns {Promise<typedefs.DividendData>} - List of available Dividends information
      */
-    static async getDividends(cookieManager, options = null, date = null) {
-        const getPage = await cookieManager.fetch(PAGE.URL);
-        const domPage = cheerio.load(await getPage.text());
-
+    static async getDividends(cookieManager, options = null, date = null, filter = null, progress = null) {
         const traceOperations = (options && options.trace) || false;
 
-        const result = [];
+        const domPage = await this._loadPage(cookieManager, options, date);
+
+        return await CeiUtils.crawlAccounts(domPage, {
+            institutionOptions: PAGE.SELECT_INSTITUTION_OPTIONS,
+            loadPage: () => this._loadPage(cookieManager, options, date),
+            selectInstitution: (page, institution) => this._selectInstitution(page, cookieManager, institution),
+            getAccountData: (page, institution, account) => this._getAccountData(page, cookieManager, traceOperations, institution, account, options)
+        }, cookieManager, options, filter, progress);
+    }
+
+    /**
+     * Loads the dividends page and sets the date in its form
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [date] - The date of the history
+     * @returns {Promise<cheerio.Root>} - DOM of the page
+     */
+    static async _loadPage(cookieManager, options, date) {
+        const getPage = await cookieManager.fetch(PAGE.URL);
+        const domPage = cheerio.load(await getPage.text());
 
         // Set date
         if (date !== null) {
@@ -143,63 +176,65 @@ class DividendsCrawler {
             domPage(PAGE.DATE_INPUT).attr('value', CeiUtils.getDateForInput(date));
         }
 
-        // Get all institutions to iterate
-        const institutions = domPage(PAGE.SELECT_INSTITUTION_OPTIONS)
-            .map((_, option) => ({
-                value: option.attribs.value,
-                label: domPage(option).text()
-            })).get()
-            .filter(institution => institution.value > 0);
-
-        // Iterate over institutions, accounts, processing the stocks
-        for (const institution of institutions) {
-
-            /* istanbul ignore next */
-            if (traceOperations)
-                console.log(`Selecting institution ${institution.label} (${institution.value})`)
-
-            domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
+        return domPage;
+    }
 
-            const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.DIVIDENDS_INSTITUTION, {
-                ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
-                __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
-            });
+    /**
+     * Selects the institution in the page and returns its accounts
+     * @param {cheerio.Root} domPage - DOM of the page
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.InstitutionOption} institution - The institution to be selected
+     * @returns {Promise<String[]>} - Accounts of the institution
+     */
+    static async _selectInstitution(domPage, cookieManager, institution) {
+        domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
 
-            const req = await cookieManager.fetch(PAGE.URL, {
-                ...FETCH_OPTIONS.DIVIDENDS_INSTITUTION,
-                body: formDataInstitution
-            });
+        const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.DIVIDENDS_INSTITUTION, {
+            ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
+            __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
+        });
 
-            const reqInstitutionText = await req.text();
-            const reqInstitutionDOM = cheerio.load(reqInstitutionText);
+        const req = await cookieManager.fetch(PAGE.URL, {
+            ...FETCH_OPTIONS.DIVIDENDS_INSTITUTION,
+            body: formDataInstitution
+        });
 
-            const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
-            CeiUtils.updateFieldsDOM(domPage, updtForm);
+        const reqInstitutionText = await req.text();
+        const reqInstitutionDOM = cheerio.load(reqInstitutionText);
 
-            const accounts = reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
-                .map((_, option) => option.attribs.value).get()
-                .filter(account => account > 0);
+        const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
+        CeiUtils.updateFieldsDOM(domPage, updtForm);
 
-            for (const account of accounts) {
-                /* istanbul ignore next */
-                if (traceOperations)
-                    console.log(`Selecting account ${account}`);
+        return reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
+            .map((_, option) => option.attribs.value).get()
+            .filter(account => account > 0);
+    }
 
-                domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
+    /**
+     * Selects the account in the page and returns its dividends
+     * @param {cheerio.Root} domPage - DOM of the page, with the institution already selected
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.InstitutionOption} institution - The selected institution
+     * @param {String} account - The account to be selected
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
+     * @returns {Promise<typedefs.DividendData>} - Dividends of the account
+     */
+    static async _getAccountData(domPage, cookieManager, traceOperations, institution, account, options) {
+        /* istanbul ignore next */
+        if (traceOperations)
+            console.log(`Selecting account ${account}`);
 
-                const { futureEvents, pastEvents } = await this._getDataPage(domPage, cookieManager, traceOperations);
+        domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
 
-                // Save the result
-                result.push({
-                    institution: institution.label,
-                    account: account,
-                    futureEvents: futureEvents,
-                    pastEvents: pastEvents
-                });
-            }
-        }
+        const { futureEvents, pastEvents } = await this._getDataPage(domPage, cookieManager, traceOperations, options);
 
-        return result;
+        return {
+            institution: institution.label,
+            account: account,
+            futureEvents: futureEvents,
+            pastEvents: pastEvents
+        };
     }
 
     /**
@@ -256,8 +291,9 @@ class DividendsCrawler {
      * @param {cheerio.Root} dom DOM of page
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
      */
-    static async _getDataPage(dom, cookieManager, traceOperations) {
+    static async _getDataPage(dom, cookieManager, traceOperations, options) {
         while(true) {
             const formDataHistory = CeiUtils.extractFormDataFromDOM(dom, FETCH_FORMS.DIVIDENDS_ACCOUNT, {
                 ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$btnConsultar',
@@ -284,8 +320,8 @@ class DividendsCrawler {
             if (traceOperations)
                 console.log(`Processing dividends data`);
 
-            const futureEvents = this._processEvents(dividendsDOM, PAGE.FUTURE_EVENTS_TITLE);
-            const pastEvents = this._processEvents(dividendsDOM, PAGE.PAST_EVENTS_TITLE);
+            const futureEvents = this._processEvents(dividendsDOM, PAGE.FUTURE_EVENTS_TITLE, options);
+            const pastEvents = this._processEvents(dividendsDOM, PAGE.PAST_EVENTS_TITLE, options);
 
             if (errorMessage.type !== undefined || futureEvents.length > 0 || pastEvents.length > 0) {
                 return {
@@ -303,27 +339,25 @@ class DividendsCrawler {
      * Process the events given the parameters
      * @param {cheerio.Root} dom DOM table stock history
      * @param {String} tableTitle The title of the table to process the events
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, used to parse the table values
      */
-    static _processEvents(dom, tableTitle) {
-        const headers = Object.keys(DIVIDENDS_TABLE_HEADERS);
-
-        const data = dom(PAGE.TABLE_TITLE_SELECTOR)
+    static _processEvents(dom, tableTitle, options = null) {
+        const rows = dom(PAGE.TABLE_TITLE_SELECTOR)
             .filter((_, el) => dom(el).text().includes(tableTitle))
             .first()
             .map((_, el) => dom(el).parent())
-            .map((_, el) => dom(PAGE.TABLE_CLASS_ROWS, el).get())
-            .map((_, tr) => dom('td', tr)
-                .map((_, td) => dom(td).text().trim())
-                .get()
-                .reduce((dict, txt, idx) => {
-                    dict[headers[idx]] = txt;
-                    return dict;
-                }, {})
-            )
-            .get();
-
-        return CeiUtils.parseTableTypes(data, DIVIDENDS_TABLE_HEADERS);
+            .map((_, el) => dom(PAGE.TABLE_CLASS_ROWS, el).get());
+
+        const data = CeiUtils.extractTableRows(dom, rows, DIVIDENDS_TABLE_LABELS);
+
+        const parsed = CeiUtils.parseTableTypes(data, DIVIDENDS_TABLE_HEADERS, options);
+        return CeiUtils.validateRows(parsed, DIVIDENDS_TABLE_HEADERS, DIVIDENDS_TABLE_RULES, options);
     }
 }
 
-module.exports = DividendsCrawler;
\ No newline at end of file
+module.exports = DividendsCrawler;
+module.exports.PAGE = PAGE;
+module.exports.FETCH_FORMS = FETCH_FORMS;
+module.exports.DIVIDENDS_TABLE_HEADERS = DIVIDENDS_TABLE_HEADERS;
+module.exports.DIVIDENDS_TABLE_LABELS = DIVIDENDS_TABLE_LABELS;
+module.exports.DIVIDENDS_TABLE_RULES = DIVIDENDS_TABLE_RULES;
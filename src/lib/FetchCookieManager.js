@@ -1,9 +1,11 @@
+const http = require('http');
 const https = require('https');
 const { readFileSync } = require('fs');
 const nodeFetch = require('node-fetch');
 const AbortController = require('abort-controller');
 const tough = require('tough-cookie');
 const CeiUtils = require('./CeiUtils');
+const CeiEndpoints = require('./CeiEndpoints');
 const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError');
 const { time } = require('console');
 
@@ -17,26 +19,144 @@ const agent = new https.Agent({
     rejectUnauthorized: false
 });
 
+const httpAgent = new http.Agent({
+    keepAlive: true
+});
+
 
 class FetchCookieManager {
     /** @type {tough.CookieJar} */
     _jar = false;
     _navigationTimeout = 30000;
 
-    constructor(defaultHeaders = {}, navigationTimeout = 30000) {
+    /** @type {{fetch: Function}} - Object performing the requests, node-fetch by default */
+    _transport = null;
+
+    /** @type {CeiEndpoints} - Resolves the page names to their URLs */
+    _endpoints = null;
+
+    /** @type {Array<function(CeiCrawlerError): Promise>} - Log in again when the session expires, one for each operation running */
+    _reloginHandlers = [];
+
+    /** @type {Promise} - Relogin in progress, shared by the requests that found the session expired */
+    _relogin = null;
+
+    /** @type {Number} - Incremented by each relogin, so requests started before it do not log in again */
+    _sessionId = 0;
+
+    /** @type {Number} - Requests waiting for their responses */
+    _inFlight = 0;
+
+    /** @type {Function[]} - Resolves the promises waiting for the requests in flight to finish */
+    _idleResolvers = [];
+
+    constructor(defaultHeaders = {}, navigationTimeout = 30000, transport = null, endpoints = null) {
         this._jar = new tough.CookieJar();
         this._navigationTimeout = navigationTimeout;
         this._defaultHeaders = defaultHeaders;
+        this._transport = transport || { fetch: nodeFetch };
+        this._endpoints = endpoints || new CeiEndpoints();
+    }
+
+    /** @type {Number} - Identifier of the current session, changed by each relogin */
+    get sessionId() { return this._sessionId; }
+
+    /** @type {boolean} - Whether a relogin handler is set */
+    get canRelogin() { return this._reloginHandlers.length > 0; }
+
+    /**
+     * Adds a function that logs in again when the session expires. Each running operation adds its own, so one
+     * operation finishing does not leave the others sharing the session without a handler
+     * @param {function(CeiCrawlerError): Promise} handler - Async function receiving the SESSION_HAS_EXPIRED error
+     * @returns {Function} - Removes the handler
+     */
+    addReloginHandler(handler) {
+        this._reloginHandlers.push(handler);
+        return () => {
+            this._reloginHandlers = this._reloginHandlers.filter(item => item !== handler);
+        };
+    }
+
+    /**
+     * Logs in again after the session has expired. Concurrent calls share the same login, and calls
+     * for a session already replaced return without logging in
+     * @param {Number} sessionId - The `sessionId` when the request that found the session expired was started
+     * @param {CeiCrawlerError} error - The SESSION_HAS_EXPIRED error, thrown if there is no relogin handler
+     * @param {function(CeiCrawlerError): Promise} [handler] - Handler of the operation that found the session expired. If none passed,
+     * the handler of the oldest operation running is used
+     */
+    async relogin(sessionId, error, handler = null) {
+        if (sessionId !== this._sessionId) return;
+
+        const reloginHandler = handler || this._reloginHandlers[0];
+        if (!reloginHandler) throw error;
+
+        if (!this._relogin) {
+            // Requests sent with the expired session would load the login page in the middle of the new login
+            this._relogin = this._waitIdle()
+                .then(() => reloginHandler(error))
+                .then(() => { this._sessionId++; })
+                .finally(() => { this._relogin = null; });
+        }
+        await this._relogin;
+    }
+
+    /**
+     * Waits for the requests in flight to finish
+     * @returns {Promise} - Resolved when no request is in flight
+     */
+    _waitIdle() {
+        if (this._inFlight === 0) return Promise.resolve();
+        return new Promise(resolve => this._idleResolvers.push(resolve));
+    }
+
+    /**
+     * Returns the cookie jar in a JSON serializable format
+     * @returns {Promise<Object>} - Serialized cookie jar
+     */
+    async exportCookies() {
+        return await this._jar.serialize();
+    }
+
+    /**
+     * Replaces the cookie jar by a previously exported one
+     * @param {Object} serializedJar - Cookie jar returned by `exportCookies`
+     */
+    async importCookies(serializedJar) {
+        this._jar = await tough.CookieJar.deserialize(serializedJar);
     }
 
     /**
      * 
-     * @param {String} url - URL
+     * @param {String} url - Page name (e.g. `login.aspx`) or absolute URL
      * @param {Object} opts - fetch options
      * @param {Number} fetchTimeout - fetch fetchTimeout
      * @returns {Promise<Response>} - Response
      */
     async fetch(url, opts = {}, fetchTimeout = null) {
+        url = this._endpoints.getUrl(url);
+
+        // Only the login itself is sent while logging in again, the other requests belong to the expired session
+        if (this._relogin && !this._isLoginPage(url))
+            throw new CeiCrawlerError(CeiErrorTypes.SESSION_HAS_EXPIRED, 'Sessão expirou, faça login novamente');
+
+        this._inFlight++;
+        try {
+            return await this._fetch(url, opts, fetchTimeout);
+        } finally {
+            if (--this._inFlight === 0)
+                this._idleResolvers.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Sends a request with the cookies of the jar, storing the cookies of the response
+     * @param {String} url - Absolute URL
+     * @param {Object} opts - fetch options
+     * @param {Number} fetchTimeout - fetch fetchTimeout
+     * @returns {Promise<Response>} - Response
+     */
+    async _fetch(url, opts, fetchTimeout) {
         const cookie = await this._jar.getCookieString(url);
 
         const newOpts = {
@@ -46,7 +166,7 @@ class FetchCookieManager {
                 ...(opts.headers || {}),
                 cookie
             },
-            agent
+            agent: parsedUrl => parsedUrl.protocol === 'http:' ? httpAgent : agent
         }
 
         const response = await CeiUtils.retry(
@@ -58,7 +178,7 @@ class FetchCookieManager {
 
                 let resp;
                 try {
-                    resp = await nodeFetch(url, {
+                    resp = await this._transport.fetch(url, {
                         ...newOpts,
                         signal: controller.signal
                     });
@@ -82,12 +202,35 @@ class FetchCookieManager {
             newCookies.map(newCookie => this._jar.setCookie(newCookie, response.url, { ignoreError: true }))
         );
 
-        if (response.status === 302) {
+        if (this._isLoginRedirect(url, response)) {
             throw new CeiCrawlerError(CeiErrorTypes.SESSION_HAS_EXPIRED, 'Sessão expirou, faça login novamente');
         }
     
         return response
     }
+
+    /**
+     * Whether a response redirects to the login page, which CEI does when the session has expired.
+     * Other redirects are not errors
+     * @param {String} url - Requested URL
+     * @param {Response} response - Response of the request
+     * @returns {boolean} - True if the response redirects or was redirected to the login page
+     */
+    _isLoginRedirect(url, response) {
+        const location = response.status >= 300 && response.status < 400
+            ? response.headers.get('location')
+            : (response.url && response.url !== url ? response.url : null);
+        return !!location && this._isLoginPage(new URL(location, url).href) && !this._isLoginPage(url);
+    }
+
+    /**
+     * Whether a URL is the login page
+     * @param {String} url - Absolute URL
+     * @returns {boolean} - True if the path of the URL is the path of the login page
+     */
+    _isLoginPage(url) {
+        return new URL(url).pathname.toLowerCase() === new URL(this._endpoints.loginUrl).pathname.toLowerCase();
+    }
 };
 
 module.exports = FetchCookieManager;
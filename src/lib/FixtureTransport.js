@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const nodeFetch = require('node-fetch');
+
+const FIXTURE_MODES = Object.freeze({
+    RECORD: 'record',
+    REPLAY: 'replay'
+});
+
+const EXCHANGES_FILE = 'exchanges.json';
+const BODIES_DIR = 'bodies';
+
+const SCRUB = {
+    FORM_FIELDS: [
+        'ctl00$ContentPlaceHolder1$txtLogin',
+        'ctl00$ContentPlaceHolder1$txtSenha'
+    ],
+    // Cookies kept as received, since the crawler reads the login result from them
+    PUBLIC_COOKIES: ['Acesso'],
+    CPF_REGEX: /\d{3}\.\d{3}\.\d{3}-\d{2}/g,
+    CPF_REPLACEMENT: '000.000.000-00',
+    SECRET_REPLACEMENT: '***'
+};
+
+/**
+ * Transport that records the requests made to CEI into a fixture directory or replays a previously recorded one.
+ * Each fixture is a directory with an `exchanges.json` index and the response bodies as separated files.
+ */
+class FixtureTransport {
+
+    /** @type {String} */
+    _mode = FIXTURE_MODES.REPLAY;
+
+    /** @type {String} */
+    _fixturePath = null;
+
+    /** @type {String[]} */
+    _secrets = [];
+
+    /** @type {Object[]} */
+    _exchanges = [];
+
+    /** @type {Object} */
+    _cursors = {};
+
+    /**
+     * @param {Object} params - Parameters for the transport
+     * @param {String} params.mode - `record` to capture the requests or `replay` to return the recorded responses
+     * @param {String} params.path - The fixture directory
+     * @param {String[]} [params.secrets] - Values to be scrubbed from the recorded data. The username and password of the login form are added when recording
+     */
+    constructor({ mode = FIXTURE_MODES.REPLAY, path: fixturePath, secrets = [] } = {}) {
+        if (!Object.values(FIXTURE_MODES).includes(mode))
+            throw new Error(`Invalid fixture mode: ${mode}`);
+
+        this._mode = mode;
+        this._fixturePath = fixturePath;
+        this._secrets = secrets.filter(secret => secret);
+
+        if (this._mode === FIXTURE_MODES.REPLAY)
+            this._load();
+    }
+
+    /**
+     * Performs the request in the same signature of node-fetch
+     * @param {String} url - URL
+     * @param {Object} opts - fetch options
+     * @returns {Promise<Response>} - Response
+     */
+    async fetch(url, opts = {}) {
+        if (this._mode === FIXTURE_MODES.RECORD)
+            return await this._record(url, opts);
+        return this._replay(url, opts);
+    }
+
+    /**
+     * Writes the recorded exchanges to the fixture directory
+     */
+    save() {
+        const bodiesPath = path.join(this._fixturePath, BODIES_DIR);
+        fs.mkdirSync(bodiesPath, { recursive: true });
+
+        const exchanges = this._exchanges.map((exchange, idx) => {
+            const { body, ...rest } = exchange;
+            const bodyFile = `${String(idx + 1).padStart(3, '0')}-${exchange.method}-${path.basename(new URL(exchange.url).pathname)}.html`;
+            fs.writeFileSync(path.join(bodiesPath, bodyFile), body);
+            return { ...rest, bodyFile };
+        });
+
+        fs.writeFileSync(path.join(this._fixturePath, EXCHANGES_FILE), JSON.stringify(exchanges, null, 2));
+    }
+
+    /**
+     * Performs the real request and keeps a scrubbed copy of it
+     * @param {String} url - URL
+     * @param {Object} opts - fetch options
+     * @returns {Promise<Response>} - Response
+     */
+    async _record(url, opts) {
+        this._addLoginSecrets(opts.body);
+
+        const response = await nodeFetch(url, opts);
+        const body = await response.text();
+        const headers = Object.entries(response.headers.raw())
+            .reduce((list, [name, values]) => [...list, ...values.map(value => [name, value])], []);
+
+        this._exchanges.push({
+            method: (opts.method || 'GET').toUpperCase(),
+            url: url,
+            responseUrl: this._scrub(response.url),
+            requestBody: this._scrubForm(opts.body),
+            status: response.status,
+            headers: headers.map(([name, value]) => [name, name === 'set-cookie' ? this._scrubCookie(value) : this._scrub(value)]),
+            body: this._scrub(body)
+        });
+
+        return new nodeFetch.Response(body, {
+            url: response.url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers
+        });
+    }
+
+    /**
+     * Returns the next recorded response for the given method and page
+     * @param {String} url - URL
+     * @param {Object} opts - fetch options
+     * @returns {Response} - Response
+     */
+    _replay(url, opts) {
+        const method = (opts.method || 'GET').toUpperCase();
+        const key = `${method} ${new URL(url).pathname}`;
+        const candidates = this._exchanges.filter(exchange => exchange.key === key);
+        const cursor = this._cursors[key] || 0;
+
+        if (cursor >= candidates.length)
+            throw new Error(`No recorded response left for ${key} in ${this._fixturePath}`);
+
+        this._cursors[key] = cursor + 1;
+        const exchange = candidates[cursor];
+
+        return new nodeFetch.Response(exchange.body, {
+            url: this._getResponseUrl(exchange, url),
+            status: exchange.status,
+            headers: exchange.headers
+        });
+    }
+
+    /**
+     * Returns the final URL of a recorded response, after the redirects followed when it was recorded
+     * @param {Object} exchange - Recorded exchange
+     * @param {String} url - URL of the replayed request
+     * @returns {String} - URL of the replayed response
+     */
+    _getResponseUrl(exchange, url) {
+        if (!exchange.responseUrl) return url;
+
+        // Redirects within the recorded host are replayed on the host of the request, which may be another baseUrl
+        const responseUrl = new URL(exchange.responseUrl);
+        if (responseUrl.origin !== new URL(exchange.url).origin) return responseUrl.href;
+        return new URL(responseUrl.pathname + responseUrl.search, url).href;
+    }
+
+    /**
+     * Loads the exchanges of the fixture directory
+     */
+    _load() {
+        const exchanges = JSON.parse(fs.readFileSync(path.join(this._fixturePath, EXCHANGES_FILE), 'utf8'));
+
+        this._exchanges = exchanges.map(exchange => ({
+            ...exchange,
+            key: `${exchange.method} ${new URL(exchange.url).pathname}`,
+            body: fs.readFileSync(path.join(this._fixturePath, BODIES_DIR, exchange.bodyFile), 'utf8')
+        }));
+    }
+
+    /**
+     * Removes credentials and CPF from a text
+     * @param {String} text - Text to be scrubbed
+     * @returns {String} - Scrubbed text
+     */
+    _scrub(text) {
+        return this._secrets
+            .reduce((str, secret) => str.split(secret).join(SCRUB.SECRET_REPLACEMENT), text)
+            .replace(SCRUB.CPF_REGEX, SCRUB.CPF_REPLACEMENT);
+    }
+
+    /**
+     * Replaces the value of a set-cookie header, keeping its name and attributes
+     * @param {String} setCookie - Value of the set-cookie header
+     * @returns {String} - Scrubbed header
+     */
+    _scrubCookie(setCookie) {
+        const [nameValue, ...attributes] = setCookie.split(';');
+        const name = nameValue.split('=')[0];
+        if (SCRUB.PUBLIC_COOKIES.includes(name.trim())) return this._scrub(setCookie);
+
+        return [`${name}=${SCRUB.SECRET_REPLACEMENT}`, ...attributes].join(';');
+    }
+
+    /**
+     * Adds the username and password sent by the login form to the secrets
+     * @param {String} body - Request body
+     */
+    _addLoginSecrets(body) {
+        if (!body) return;
+
+        for (const [field, value] of new URLSearchParams(body)) {
+            if (SCRUB.FORM_FIELDS.includes(field) && value && !this._secrets.includes(value))
+                this._secrets.push(value);
+        }
+    }
+
+    /**
+     * Removes credentials and CPF from a request body in FormData string format
+     * @param {String} body - Request body
+     * @returns {String} - Scrubbed request body
+     */
+    _scrubForm(body) {
+        if (!body) return null;
+
+        const form = new URLSearchParams();
+        for (const [field, value] of new URLSearchParams(body)) {
+            form.append(field, SCRUB.FORM_FIELDS.includes(field) ? SCRUB.SECRET_REPLACEMENT : this._scrub(value));
+        }
+
+        return form.toString();
+    }
+}
+
+module.exports = FixtureTransport;
+module.exports.FIXTURE_MODES = FIXTURE_MODES;
@@ -0,0 +1,229 @@
+const typedefs = require("./typedefs");
+const FetchCookieManager = require('./FetchCookieManager');
+const { CeiErrorTypes } = require('./CeiCrawlerError');
+const CeiUtils = require('./CeiUtils');
+const cheerio = require('cheerio');
+const WalletCrawler = require('./WalletCrawler');
+const DividendsCrawler = require('./DividendsCrawler');
+const StockHistoryCrawler = require('./StockHistoryCrawler');
+const TreasureCrawler = require('./TreasureCrawler');
+
+const CHECKED_PAGES = [
+    { name: 'wallet', crawler: WalletCrawler },
+    { name: 'dividends', crawler: DividendsCrawler },
+    { name: 'stockHistory', crawler: StockHistoryCrawler },
+    { name: 'treasure', crawler: TreasureCrawler }
+];
+
+/**
+ * Selectors of the tables of the query results of each page. A table is only rendered when the account has its data,
+ * which is found by the labels of its header, so the selectors do not need to match to know if they should
+ */
+const RESULT_TABLES = {
+    wallet: [
+        {
+            labels: WalletCrawler.STOCK_WALLET_TABLE_LABELS,
+            selectors: ['STOCK_WALLET_TABLE', 'STOCK_WALLET_TABLE_BODY', 'STOCK_WALLET_TABLE_BODY_ROWS', 'RESULT_FOOTER_100']
+        },
+        {
+            labels: WalletCrawler.TREASURE_WALLET_TABLE_LABELS,
+            selectors: ['TREASURE_WALLET_TABLE', 'TREASURE_WALLET_TABLE_BODY', 'TREASURE_WALLET_TABLE_BODY_ROWS', 'RESULT_FOOTER_100']
+        }
+    ],
+    dividends: [
+        { labels: DividendsCrawler.DIVIDENDS_TABLE_LABELS, selectors: ['TABLE_CLASS', 'TABLE_CLASS_ROWS', 'TABLE_TITLE_SELECTOR'] }
+    ],
+    stockHistory: [
+        { labels: StockHistoryCrawler.STOCK_TABLE_LABELS, selectors: ['STOCKS_DIV', 'STOCKS_TABLE', 'STOCKS_TABLE_ROWS'] },
+        { labels: StockHistoryCrawler.SUMMARY_STOCK_TABLE_LABELS, selectors: ['SUMMARY_STOCKS_DIV', 'SUMMARY_STOCKS_TABLE', 'SUMMARY_STOCKS_TABLE_ROWS'] }
+    ],
+    treasure: [
+        {
+            labels: TreasureCrawler.TREASURE_TABLE_LABELS,
+            selectors: ['AGENT_TITLE', 'TREASURE_TABLE', 'TREASURE_TABLE_BODY', 'TREASURE_TABLE_BODY_ROWS', 'RESULT_FOOTER_TREASURE']
+        },
+        {
+            labels: TreasureCrawler.TREASURE_DETAIL_TABLE_LABELS,
+            selectors: ['TREASURE_DETAIL_TABLE', 'TREASURE_DETAIL_TABLE_BODY', 'TREASURE_DETAIL_TABLE_BODY_ROWS', 'RESULT_FOOTER_TREASURE_DETAIL']
+        }
+    ]
+};
+
+// Selectors of the query filter, rendered when the page is loaded
+const PAGE_SELECTORS = [
+    'SELECT_INSTITUTION',
+    'SELECT_INSTITUTION_OPTIONS',
+    'SELECT_ACCOUNT',
+    'DATE_INPUT',
+    'START_DATE_INPUT',
+    'END_DATE_INPUT',
+    'DATE_MIN_VALUE',
+    'DATE_MAX_VALUE',
+    'SUBMIT_BUTTON'
+];
+
+// Keys of PAGE that are not selectors, but the page name and the texts of the table titles
+const NOT_SELECTORS = ['URL', 'PAST_EVENTS_TITLE', 'FUTURE_EVENTS_TITLE', 'OPTIONS_TITLE', 'TERMS_TITLE', 'FUTURES_TITLE'];
+
+// Form fields sent by the ASP.NET AJAX scripts, which are not inputs of the page
+const SCRIPT_FIELDS = [
+    '__ASYNCPOST',
+    'ctl00$ContentPlaceHolder1$ToolkitScriptManager1',
+    'ctl00$ContentPlaceHolder1$smAlgumaCoisa'
+];
+
+class HealthCheck {
+
+    /**
+     * Loads each page of CEI used by the crawler and checks that the selectors and form fields still exist
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with, with a logged session
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @returns {Promise<typedefs.HealthCheckReport>} - Problems found in each page
+     */
+    static async check(cookieManager, options = null) {
+        const pages = [];
+        for (const page of CHECKED_PAGES) {
+            /* istanbul ignore next */
+            if (options && options.trace)
+                console.log(`Checking page ${page.crawler.PAGE.URL}`);
+
+            pages.push(await this.checkPage(cookieManager, page.name, page.crawler, options));
+        }
+
+        return {
+            ok: pages.every(page => page.ok),
+            pages
+        };
+    }
+
+    /**
+     * Checks a page of CEI. The selectors of the filter and the form fields are checked in the loaded page, and
+     * the options of the accounts after selecting the first institution. Then the query of its first account is
+     * submitted as the crawler does, so a table whose columns changed throws a LAYOUT_CHANGED, and the selectors of
+     * the results are checked in the responses. The selectors of a table the account has no data for, and of the
+     * alerts not shown, are listed as unchecked
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with, with a logged session
+     * @param {String} name - Name of the page in the report
+     * @param {Object} crawler - Crawler of the page, exporting its PAGE and FETCH_FORMS
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler, used to parse the results
+     * @returns {Promise<typedefs.PageHealth>} - Problems found in the page
+     */
+    static async checkPage(cookieManager, name, crawler, options = null) {
+        const { PAGE, FETCH_FORMS } = crawler;
+        const report = {
+            name,
+            url: PAGE.URL,
+            ok: false,
+            error: null,
+            missingSelectors: [],
+            missingFormFields: [],
+            uncheckedSelectors: Object.keys(PAGE).filter(key =>
+                !NOT_SELECTORS.includes(key) && !PAGE_SELECTORS.includes(key) && key !== 'SELECT_ACCOUNT_OPTIONS')
+        };
+
+        try {
+            const getPage = await cookieManager.fetch(PAGE.URL);
+            if (getPage.status !== 200) {
+                report.error = `A página ${PAGE.URL} retornou o status ${getPage.status}`;
+                return report;
+            }
+
+            const domPage = cheerio.load(await getPage.text());
+
+            report.missingSelectors = PAGE_SELECTORS
+                .filter(key => key in PAGE && domPage(PAGE[key]).length === 0)
+                .map(key => ({ name: key, selector: PAGE[key] }));
+
+            const fields = new Set(domPage('input, select').map((_, el) => el.attribs.name).get());
+            report.missingFormFields = Object.keys(FETCH_FORMS).flatMap(form => FETCH_FORMS[form]
+                .filter(field => !fields.has(field) && !SCRIPT_FIELDS.includes(field))
+                .map(field => ({ form, field })));
+
+            const institution = domPage(PAGE.SELECT_INSTITUTION_OPTIONS)
+                .map((_, option) => ({ value: option.attribs.value, label: domPage(option).text() }))
+                .get()
+                .find(option => option.value > 0);
+
+            // Every institution listed by CEI has at least one account
+            if (institution) {
+                const selected = await crawler._selectInstitution(domPage, cookieManager, institution);
+                const accounts = Array.isArray(selected) ? selected : selected.accounts;
+                if (accounts.length === 0) {
+                    report.missingSelectors.push({ name: 'SELECT_ACCOUNT_OPTIONS', selector: PAGE.SELECT_ACCOUNT_OPTIONS });
+                } else {
+                    const responses = [];
+                    await crawler._getAccountData(domPage, this._recordResponses(cookieManager, responses), false, institution, accounts[0], options);
+                    this._checkResults(report, PAGE, RESULT_TABLES[name] || [], responses.map(text => cheerio.load(text)));
+                }
+            } else {
+                report.uncheckedSelectors.push('SELECT_ACCOUNT_OPTIONS');
+            }
+        } catch (e) {
+            if (e.type === CeiErrorTypes.SESSION_HAS_EXPIRED)
+                throw e;
+            report.error = e.message;
+            return report;
+        }
+
+        report.ok = report.missingSelectors.length === 0 && report.missingFormFields.length === 0;
+        return report;
+    }
+
+    /**
+     * Checks the selectors of the query results in the responses of the query. The selectors of the tables with data must
+     * be found, while the others, like the alerts shown only with messages, are left unchecked when they are not found
+     * @param {typedefs.PageHealth} report - Report of the page, whose missing and unchecked selectors are updated
+     * @param {Object} PAGE - Selectors of the page
+     * @param {{labels: Object<String, String[]>, selectors: String[]}[]} resultTables - Tables of the query results of the page
+     * @param {cheerio.Root[]} doms - DOM of each response of the query
+     */
+    static _checkResults(report, PAGE, resultTables, doms) {
+        const isFound = key => doms.some(dom => dom(PAGE[key]).length > 0);
+
+        const expected = new Set(resultTables
+            .filter(table => doms.some(dom => this._hasTable(dom, table.labels)))
+            .flatMap(table => table.selectors));
+
+        report.missingSelectors.push(...[...expected]
+            .filter(key => !isFound(key))
+            .map(key => ({ name: key, selector: PAGE[key] })));
+
+        report.uncheckedSelectors = report.uncheckedSelectors.filter(key => !expected.has(key) && !isFound(key));
+    }
+
+    /**
+     * Whether the DOM has a table with rows and a header with all the labels, regardless of the selectors of the page
+     * @param {cheerio.Root} dom - DOM of a response
+     * @param {Object<String, String[]>} tableLabels - Labels of the column of each field, as in the *_TABLE_LABELS definitions
+     * @returns {boolean} - True if the table was rendered with data
+     */
+    static _hasTable(dom, tableLabels) {
+        return dom('table').get().some(table => {
+            let headerCells = dom(table).find('thead th');
+            if (headerCells.length === 0) headerCells = dom(table).find('tr').first().find('th');
+            const labels = headerCells.map((_, th) => CeiUtils.normalizeLabel(dom(th).text())).get();
+
+            return dom(table).find('tbody tr').length > 0 && Object.values(tableLabels)
+                .every(expected => expected.some(label => labels.includes(CeiUtils.normalizeLabel(label))));
+        });
+    }
+
+    /**
+     * Returns a cookie manager that keeps the text of the responses, which the crawlers only return parsed
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager doing the requests
+     * @param {String[]} responses - Filled with the text of each response
+     * @returns {{fetch: Function}} - Object with the `fetch` used by the crawlers
+     */
+    static _recordResponses(cookieManager, responses) {
+        return {
+            fetch: async (url, options) => {
+                const response = await cookieManager.fetch(url, options);
+                const text = await response.text();
+                responses.push(text);
+                return { status: response.status, headers: response.headers, text: async () => text };
+            }
+        };
+    }
+}
+
+module.exports = HealthCheck;
@@ -0,0 +1,356 @@
+const typedefs = require("./typedefs");
+const StockAnalytics = require('./StockAnalytics');
+const MoneyUtils = require('./MoneyUtils');
+const { MONEY_FORMATS } = MoneyUtils;
+const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError');
+
+const INCOME_TYPES = Object.freeze({
+    DIVIDENDO: 'dividendo',
+    JCP: 'jcp',
+    RENDIMENTO: 'rendimento',
+    OUTROS: 'outros'
+});
+
+// Monthly swing-trade sales of stocks up to this value have their gains exempt
+const EXEMPTION_LIMIT = 20000;
+
+const BUY = 'C';
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const MONTHLY_MONEY_FIELDS = [
+    'swingTradeSales', 'exemptAssetsSales', 'swingTradeGain', 'exemptAssetsGain', 'dayTradeSales', 'dayTradeGain', 'taxableSwingTradeGain',
+    'realEstateFundsSales', 'realEstateFundsGain'
+];
+
+class IrpfReport {
+
+    /**
+     * Returns the income type of a dividend event, given the type shown by CEI
+     * @param {String} type - Type of the event, like `JUROS SOBRE CAPITAL PRÓPRIO`
+     * @returns {String} - One of INCOME_TYPES
+     */
+    static getIncomeType(type) {
+        const normalized = (type || '').toUpperCase();
+        if (normalized.includes('JUROS') || normalized.includes('JCP')) return INCOME_TYPES.JCP;
+        if (normalized.includes('DIVIDENDO')) return INCOME_TYPES.DIVIDENDO;
+        if (normalized.includes('RENDIMENTO')) return INCOME_TYPES.RENDIMENTO;
+        return INCOME_TYPES.OUTROS;
+    }
+
+    /**
+     * Generates the data of the IRPF declaration of a year from the results of the crawler. Rows with `warnings` throw a PARSE_ERROR, as in StockAnalytics.analyze
+     * @param {Object} data - Results of the crawler
+     * @param {typedefs.AccountWallet[]} [data.wallet] - Result of getWallet at 31/12 of the year
+     * @param {typedefs.DividendData[]} [data.dividends] - Result of getDividends, only the past events paid in the year are used
+     * @param {typedefs.StockHistory[]} [data.stockHistory] - Result of getStockHistory or getFullStockHistory, since the first operation of the assets
+     * @param {typedefs.CorporateEventsData[]} [data.corporateEvents] - Splits, reverse splits and bonus shares of each account, adjusting the positions as in StockAnalytics.analyze
+     * @param {typedefs.IrpfReportOptions} options - Options of the report
+     * @returns {typedefs.IrpfReportResult} - The report
+     */
+    static generate(data = {}, options = {}) {
+        if (!options || !Number.isInteger(options.year))
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, `Ano do relatório inválido: ${options && options.year}. Informe o ano na opção year`);
+
+        const year = options.year;
+        const cnpjs = options.institutionCnpjs || {};
+        const isExemptAsset = options.isExemptAsset || null;
+        const isRealEstateFund = options.isRealEstateFund || null;
+        const moneyFormat = options.moneyFormat || MONEY_FORMATS.NUMBER;
+        const toNumber = value => MoneyUtils.toNumber(value, moneyFormat);
+
+        StockAnalytics.checkWarnings(data.wallet || [], ['stockWallet', 'nationalTreasuryWallet']);
+        StockAnalytics.checkWarnings(data.dividends || [], ['pastEvents']);
+        StockAnalytics.checkWarnings(data.stockHistory || [], ['stockHistory']);
+
+        // The report is calculated with numbers, and its monetary values converted back to the moneyFormat at the end
+        const wallet = data.wallet || [];
+        const corporateEvents = (data.corporateEvents || []).map(item => ({
+            ...item,
+            events: item.events.map(event => ({ ...event, value: toNumber(event.value) }))
+        }));
+        const dividends = data.dividends || [];
+        const stockHistory = (data.stockHistory || []).map(item => ({
+            ...item,
+            stockHistory: item.stockHistory
+                .filter(operation => operation.date.getFullYear() <= year)
+                .map(operation => ({
+                    ...operation,
+                    price: toNumber(operation.price),
+                    totalValue: toNumber(StockAnalytics.getOperationValue(operation, moneyFormat))
+                }))
+        }));
+
+        // Neither the code (units, ETFs and FII all end with 11) nor the columns of CEI tell the type of an asset, so the caller classifies the assets sold
+        const hasSales = stockHistory.some(item => item.stockHistory.some(operation => operation.operation !== BUY && operation.date.getFullYear() === year));
+        if (hasSales && (!isExemptAsset || !isRealEstateFund))
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, 'As opções isExemptAsset e isRealEstateFund são obrigatórias para classificar os ativos vendidos no ano');
+
+        const institutions = new Map();
+        const getInstitution = label => {
+            const code = label.split(' - ')[0].trim();
+            const cnpj = cnpjs[code] || null;
+            const key = cnpj || label;
+
+            if (!institutions.has(key))
+                institutions.set(key, { cnpj, institution: label, assets: [], income: this._createIncome(), sales: [] });
+            return institutions.get(key);
+        };
+
+        // Bens e Direitos: quantities at 31/12 valued by the average cost of each account
+        const { positions } = StockAnalytics.analyze(stockHistory, { groupByAccount: true, corporateEvents });
+        for (const item of wallet) {
+            const institution = getInstitution(item.institution);
+
+            for (const stock of item.stockWallet || []) {
+                const code = StockAnalytics.normalizeCode(stock.code);
+                const position = positions.find(p => p.institution === item.institution && p.account === item.account && p.code === code);
+                const averageCost = position && position.quantity > 0 ? position.averageCost : null;
+
+                institution.assets.push({
+                    account: item.account,
+                    type: 'stock',
+                    code,
+                    name: stock.company,
+                    quantity: stock.quantity,
+                    averageCost,
+                    value: averageCost !== null ? roundMoney(averageCost * stock.quantity) : null
+                });
+            }
+
+            for (const treasure of item.nationalTreasuryWallet || []) {
+                const investedValue = toNumber(treasure.investedValue);
+                institution.assets.push({
+                    account: item.account,
+                    type: 'nationalTreasury',
+                    code: treasure.code,
+                    name: treasure.code,
+                    quantity: treasure.quantity,
+                    averageCost: treasure.quantity ? investedValue / treasure.quantity : null,
+                    value: investedValue
+                });
+            }
+        }
+
+        // Rendimentos: past events paid in the year
+        for (const item of dividends) {
+            const institution = getInstitution(item.institution);
+
+            for (const event of item.pastEvents || []) {
+                if (!event.date || event.date.getFullYear() !== year) continue;
+
+                const income = institution.income[this.getIncomeType(event.type)];
+                const code = StockAnalytics.normalizeCode(event.code);
+                let entry = income.items.find(i => i.code === code);
+                if (!entry) {
+                    entry = { code, stock: event.stock, grossValue: 0, netValue: 0 };
+                    income.items.push(entry);
+                }
+
+                const grossValue = toNumber(event.grossValue);
+                const netValue = toNumber(event.netValue);
+                entry.grossValue = roundMoney(entry.grossValue + grossValue);
+                entry.netValue = roundMoney(entry.netValue + netValue);
+                income.grossValue = roundMoney(income.grossValue + grossValue);
+                income.netValue = roundMoney(income.netValue + netValue);
+            }
+        }
+
+        // Sales of the year and monthly results
+        const { dayTradeGains, swingTradeHistory } = this._splitDayTrades(stockHistory);
+        const { realizedGains } = StockAnalytics.analyze(swingTradeHistory, { corporateEvents });
+
+        const monthlyResults = Array.from({ length: 12 }, (_, idx) => ({
+            month: idx + 1,
+            swingTradeSales: 0,
+            exemptAssetsSales: 0,
+            swingTradeGain: 0,
+            exemptAssetsGain: 0,
+            dayTradeSales: 0,
+            dayTradeGain: 0,
+            exempt: true,
+            taxableSwingTradeGain: 0,
+            realEstateFundsSales: 0,
+            realEstateFundsGain: 0
+        }));
+
+        for (const item of stockHistory) {
+            const institution = getInstitution(item.institution);
+            for (const operation of item.stockHistory) {
+                if (operation.operation === BUY || operation.date.getFullYear() !== year) continue;
+                institution.sales.push({
+                    account: item.account,
+                    date: operation.date,
+                    code: StockAnalytics.normalizeCode(operation.code),
+                    quantity: operation.quantity,
+                    price: operation.price,
+                    value: StockAnalytics.getOperationValue(operation)
+                });
+            }
+        }
+
+        // Sales count in the month they happen, including the ones opening short positions or without buys in the history
+        for (const item of swingTradeHistory) {
+            for (const operation of item.stockHistory) {
+                if (operation.operation === BUY || operation.date.getFullYear() !== year) continue;
+
+                const month = monthlyResults[operation.date.getMonth()];
+                const value = StockAnalytics.getOperationValue(operation);
+
+                if (isRealEstateFund(operation.code)) {
+                    month.realEstateFundsSales += value;
+                    continue;
+                }
+
+                month.swingTradeSales += value;
+                if (isExemptAsset(operation.code))
+                    month.exemptAssetsSales += value;
+            }
+        }
+
+        // Gains count in the month the position is closed, which is the buy for short positions
+        for (const gain of realizedGains) {
+            if (gain.date.getFullYear() !== year) continue;
+
+            const month = monthlyResults[gain.date.getMonth()];
+            if (isRealEstateFund(gain.code)) {
+                month.realEstateFundsGain += gain.gain;
+                continue;
+            }
+
+            month.swingTradeGain += gain.gain;
+            if (isExemptAsset(gain.code))
+                month.exemptAssetsGain += gain.gain;
+        }
+
+        for (const gain of dayTradeGains) {
+            if (gain.date.getFullYear() !== year) continue;
+
+            const month = monthlyResults[gain.date.getMonth()];
+            if (isRealEstateFund(gain.code)) {
+                month.realEstateFundsSales += gain.value;
+                month.realEstateFundsGain += gain.gain;
+                continue;
+            }
+
+            month.dayTradeSales += gain.value;
+            month.dayTradeGain += gain.gain;
+        }
+
+        for (const month of monthlyResults) {
+            for (const field of MONTHLY_MONEY_FIELDS)
+                month[field] = roundMoney(month[field]);
+
+            month.exempt = month.exemptAssetsSales <= EXEMPTION_LIMIT;
+
+            // Only gains are exempt, losses of exempt assets are still compensable
+            const exemptGain = month.exempt ? Math.max(month.exemptAssetsGain, 0) : 0;
+            month.taxableSwingTradeGain = roundMoney(month.swingTradeGain - exemptGain);
+        }
+
+        const report = {
+            year,
+            institutions: [...institutions.values()],
+            monthlyResults
+        };
+        return moneyFormat === MONEY_FORMATS.NUMBER ? report : this._convertMoney(report, moneyFormat);
+    }
+
+    /**
+     * Converts the monetary values of a report calculated with numbers to the moneyFormat
+     * @param {typedefs.IrpfReportResult} report - The report with numbers
+     * @param {String} moneyFormat - Format of the result, one of MONEY_FORMATS
+     * @returns {typedefs.IrpfReportResult} - The report in the format
+     */
+    static _convertMoney(report, moneyFormat) {
+        // Totals are rounded to cents, unit values keep the precision of the calculation
+        const convert = (item, fields, roundToCents = true) => fields.forEach(field => {
+            item[field] = MoneyUtils.fromNumber(item[field], moneyFormat, roundToCents);
+        });
+
+        for (const institution of report.institutions) {
+            institution.assets.forEach(asset => {
+                convert(asset, ['averageCost'], false);
+                convert(asset, ['value']);
+            });
+            institution.sales.forEach(sale => {
+                convert(sale, ['price'], false);
+                convert(sale, ['value']);
+            });
+            for (const income of Object.values(institution.income)) {
+                convert(income, ['grossValue', 'netValue']);
+                income.items.forEach(entry => convert(entry, ['grossValue', 'netValue']));
+            }
+        }
+        report.monthlyResults.forEach(month => convert(month, MONTHLY_MONEY_FIELDS));
+
+        return report;
+    }
+
+    static _createIncome() {
+        return Object.values(INCOME_TYPES).reduce((income, type) => {
+            income[type] = { grossValue: 0, netValue: 0, items: [] };
+            return income;
+        }, {});
+    }
+
+    /**
+     * Separates the day trades, a buy and a sale of the same asset in the same day and account,
+     * from the operations that change the swing-trade positions
+     * @param {typedefs.StockHistory[]} stockHistory - Stock history of each account
+     * @returns {{dayTradeGains: Object[], swingTradeHistory: typedefs.StockHistory[]}} - Gains of the day trades and the remaining operations
+     */
+    static _splitDayTrades(stockHistory) {
+        const dayTradeGains = [];
+
+        const swingTradeHistory = stockHistory.map(item => {
+            const days = new Map();
+            for (const operation of item.stockHistory) {
+                const code = StockAnalytics.normalizeCode(operation.code);
+                const key = `${operation.date.getTime()}/${code}`;
+                if (!days.has(key))
+                    days.set(key, { date: operation.date, code, buyQuantity: 0, buyValue: 0, sellQuantity: 0, sellValue: 0 });
+
+                const day = days.get(key);
+                if (operation.operation === BUY) {
+                    day.buyQuantity += operation.quantity;
+                    day.buyValue += StockAnalytics.getOperationValue(operation);
+                } else {
+                    day.sellQuantity += operation.quantity;
+                    day.sellValue += StockAnalytics.getOperationValue(operation);
+                }
+            }
+
+            const operations = [];
+            for (const day of days.values()) {
+                const buyPrice = day.buyQuantity ? day.buyValue / day.buyQuantity : 0;
+                const sellPrice = day.sellQuantity ? day.sellValue / day.sellQuantity : 0;
+                const dayTradeQuantity = Math.min(day.buyQuantity, day.sellQuantity);
+
+                if (dayTradeQuantity > 0) {
+                    dayTradeGains.push({
+                        date: day.date,
+                        code: day.code,
+                        quantity: dayTradeQuantity,
+                        value: sellPrice * dayTradeQuantity,
+                        gain: (sellPrice - buyPrice) * dayTradeQuantity
+                    });
+                }
+
+                const residual = (operation, quantity, price) => quantity > 0 && operations.push({
+                    date: day.date, operation, code: day.code, quantity, price, totalValue: price * quantity, quotationFactor: 1
+                });
+                residual('C', day.buyQuantity - dayTradeQuantity, buyPrice);
+                residual('V', day.sellQuantity - dayTradeQuantity, sellPrice);
+            }
+
+            return { ...item, stockHistory: operations };
+        });
+
+        return { dayTradeGains, swingTradeHistory };
+    }
+}
+
+module.exports = IrpfReport;
+module.exports.INCOME_TYPES = INCOME_TYPES;
+module.exports.EXEMPTION_LIMIT = EXEMPTION_LIMIT;
@@ -0,0 +1,183 @@
+const MONEY_FORMATS = Object.freeze({
+    NUMBER: 'number',
+    CENTS: 'cents',
+    DECIMAL: 'decimal'
+});
+
+const DECIMAL_REGEX = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Exact arithmetic of monetary values in the formats of the `moneyFormat` option:
+ * JavaScript numbers, integer cents or decimal strings like `-1234.56`
+ */
+class MoneyUtils {
+
+    /**
+     * Converts a monetary value between formats. Values converted to cents are rounded half away from zero
+     * @param {Number|String} value - The value
+     * @param {String} from - Format of the value, one of MONEY_FORMATS
+     * @param {String} to - Format of the result, one of MONEY_FORMATS
+     * @returns {Number|String} - The converted value
+     */
+    static convert(value, from, to) {
+        return this._fromScaled(this._toScaled(value, from), to);
+    }
+
+    /**
+     * Converts a monetary value to a JavaScript number, for calculations that MoneyUtils does not do exactly, like divisions.
+     * Null and undefined values are returned as they are
+     * @param {Number|String|null} value - The value
+     * @param {String} format - Format of the value, one of MONEY_FORMATS
+     * @returns {Number|null} - The value as a number
+     */
+    static toNumber(value, format) {
+        if (value === null || value === undefined || format === MONEY_FORMATS.NUMBER) return value;
+        return this.convert(value, format, MONEY_FORMATS.NUMBER);
+    }
+
+    /**
+     * Converts a JavaScript number to a monetary value of the format. Null and undefined values are returned as they are
+     * @param {Number|null} value - The value
+     * @param {String} format - Format of the result, one of MONEY_FORMATS
+     * @param {boolean} [roundToCents] - Round the value to cents, so decimal strings always have two decimal places
+     * @returns {Number|String|null} - The value in the format
+     */
+    static fromNumber(value, format, roundToCents = false) {
+        if (value === null || value === undefined || format === MONEY_FORMATS.NUMBER) return value;
+        if (roundToCents)
+            return this.convert(this.convert(value, MONEY_FORMATS.NUMBER, MONEY_FORMATS.CENTS), MONEY_FORMATS.CENTS, format);
+        return this.convert(value, MONEY_FORMATS.NUMBER, format);
+    }
+
+    /**
+     * Adds two monetary values
+     * @param {Number|String} a - First value
+     * @param {Number|String} b - Second value
+     * @param {String} [format] - Format of the values and of the result. Defaults to decimal strings
+     * @returns {Number|String} - The sum
+     */
+    static add(a, b, format = MONEY_FORMATS.DECIMAL) {
+        return this.sum([a, b], format);
+    }
+
+    /**
+     * Subtracts a monetary value from another
+     * @param {Number|String} a - Value to subtract from
+     * @param {Number|String} b - Value to be subtracted
+     * @param {String} [format] - Format of the values and of the result. Defaults to decimal strings
+     * @returns {Number|String} - The difference
+     */
+    static subtract(a, b, format = MONEY_FORMATS.DECIMAL) {
+        const scaledB = this._toScaled(b, format);
+        return this._fromScaled(this._sumScaled([this._toScaled(a, format), { units: -scaledB.units, scale: scaledB.scale }]), format);
+    }
+
+    /**
+     * Sums monetary values, like the total of a wallet, without the rounding drift of floats
+     * @param {Array<Number|String>} values - The values
+     * @param {String} [format] - Format of the values and of the result. Defaults to decimal strings
+     * @returns {Number|String} - The total
+     */
+    static sum(values, format = MONEY_FORMATS.DECIMAL) {
+        return this._fromScaled(this._sumScaled(values.map(value => this._toScaled(value, format))), format);
+    }
+
+    /**
+     * Multiplies a monetary value, like a unit price by a quantity
+     * @param {Number|String} value - The monetary value
+     * @param {Number|String} factor - The factor, a number or a decimal string
+     * @param {String} [format] - Format of the value and of the result. Defaults to decimal strings
+     * @returns {Number|String} - The product
+     */
+    static multiply(value, factor, format = MONEY_FORMATS.DECIMAL) {
+        const scaledValue = this._toScaled(value, format);
+        const scaledFactor = this._toScaled(factor, typeof factor === 'number' ? MONEY_FORMATS.NUMBER : MONEY_FORMATS.DECIMAL);
+        return this._fromScaled({ units: scaledValue.units * scaledFactor.units, scale: scaledValue.scale + scaledFactor.scale }, format);
+    }
+
+    /**
+     * Converts a value to an integer with its number of decimal places
+     * @param {Number|String} value - The value
+     * @param {String} format - Format of the value, one of MONEY_FORMATS
+     * @returns {{units: BigInt, scale: Number}} - The value multiplied by 10^scale
+     */
+    static _toScaled(value, format) {
+        if (format === MONEY_FORMATS.CENTS) {
+            if (!Number.isInteger(value))
+                throw new TypeError(`Invalid value in cents: ${value}`);
+            return { units: BigInt(value), scale: 2 };
+        }
+
+        let str = value;
+        if (format === MONEY_FORMATS.NUMBER) {
+            if (typeof value !== 'number' || !isFinite(value))
+                throw new TypeError(`Invalid money value: ${value}`);
+            // The shortest representation of the float, which is the decimal it was parsed from
+            str = /e/.test(String(value)) ? value.toFixed(20).replace(/\.?0+$/, '') : String(value);
+        } else if (format !== MONEY_FORMATS.DECIMAL) {
+            throw new TypeError(`Unknown money format: ${format}. Use one of ${Object.values(MONEY_FORMATS).join(', ')}`);
+        }
+
+        const match = DECIMAL_REGEX.exec(str);
+        if (!match)
+            throw new TypeError(`Invalid decimal value: ${value}`);
+
+        const fraction = match[3] || '';
+        const units = BigInt(match[2] + fraction);
+        return { units: match[1] ? -units : units, scale: fraction.length };
+    }
+
+    /**
+     * Converts a scaled integer to a value of the format
+     * @param {{units: BigInt, scale: Number}} scaled - The value multiplied by 10^scale
+     * @param {String} format - Format of the result, one of MONEY_FORMATS
+     * @returns {Number|String} - The value
+     */
+    static _fromScaled(scaled, format) {
+        if (format === MONEY_FORMATS.CENTS)
+            return Number(this._rescale(scaled, 2));
+
+        const digits = (scaled.units < 0n ? -scaled.units : scaled.units).toString().padStart(scaled.scale + 1, '0');
+        const integer = digits.slice(0, digits.length - scaled.scale);
+        const fraction = digits.slice(digits.length - scaled.scale);
+        const decimal = `${scaled.units < 0n ? '-' : ''}${integer}${fraction ? `.${fraction}` : ''}`;
+
+        if (format === MONEY_FORMATS.NUMBER) return Number(decimal);
+        if (format === MONEY_FORMATS.DECIMAL) return decimal;
+        throw new TypeError(`Unknown money format: ${format}. Use one of ${Object.values(MONEY_FORMATS).join(', ')}`);
+    }
+
+    /**
+     * Sums scaled integers, keeping the largest number of decimal places
+     * @param {{units: BigInt, scale: Number}[]} values - The values multiplied by 10^scale
+     * @returns {{units: BigInt, scale: Number}} - The total multiplied by 10^scale
+     */
+    static _sumScaled(values) {
+        return values.reduce((total, value) => {
+            const scale = Math.max(total.scale, value.scale);
+            return { units: this._rescale(total, scale) + this._rescale(value, scale), scale };
+        }, { units: 0n, scale: 0 });
+    }
+
+    /**
+     * Changes the number of decimal places of a scaled integer, rounding half away from zero
+     * @param {{units: BigInt, scale: Number}} scaled - The value multiplied by 10^scale
+     * @param {Number} scale - The new number of decimal places
+     * @returns {BigInt} - The value multiplied by 10^scale
+     */
+    static _rescale(scaled, scale) {
+        if (scale >= scaled.scale)
+            return scaled.units * 10n ** BigInt(scale - scaled.scale);
+
+        const divisor = 10n ** BigInt(scaled.scale - scale);
+        const quotient = scaled.units / divisor;
+        const remainder = scaled.units % divisor;
+        const abs = remainder < 0n ? -remainder : remainder;
+        if (abs * 2n >= divisor)
+            return quotient + (scaled.units < 0n ? -1n : 1n);
+        return quotient;
+    }
+}
+
+module.exports = MoneyUtils;
+module.exports.MONEY_FORMATS = MONEY_FORMATS;
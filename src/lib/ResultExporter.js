@@ -0,0 +1,156 @@
+const typedefs = require("./typedefs");
+const CeiUtils = require('./CeiUtils');
+const XlsxWriter = require('./XlsxWriter');
+const MoneyUtils = require('./MoneyUtils');
+const { MONEY_FORMATS } = MoneyUtils;
+const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError');
+const StockHistoryCrawler = require('./StockHistoryCrawler');
+const DividendsCrawler = require('./DividendsCrawler');
+const WalletCrawler = require('./WalletCrawler');
+const TreasureCrawler = require('./TreasureCrawler');
+
+const RESULT_TYPES = Object.freeze({
+    WALLET: 'wallet',
+    DIVIDENDS: 'dividends',
+    STOCK_HISTORY: 'stockHistory',
+    TREASURE: 'treasure'
+});
+
+const ACCOUNT_COLUMNS = {
+    institution: 'string',
+    account: 'string'
+};
+
+/**
+ * Tables of each result type. Each table lists the column types, in the same order of the CEI table,
+ * and how to get the rows from an institution/account item of the result
+ */
+const RESULT_TABLES = {
+    [RESULT_TYPES.WALLET]: [
+        { name: 'stockWallet', columns: WalletCrawler.STOCK_WALLET_TABLE_HEADER, rows: item => item.stockWallet },
+        { name: 'nationalTreasuryWallet', columns: WalletCrawler.TREASURE_WALLET_TABLE_HEADER, rows: item => item.nationalTreasuryWallet }
+    ],
+    [RESULT_TYPES.DIVIDENDS]: [
+        { name: 'futureEvents', columns: DividendsCrawler.DIVIDENDS_TABLE_HEADERS, rows: item => item.futureEvents },
+        { name: 'pastEvents', columns: DividendsCrawler.DIVIDENDS_TABLE_HEADERS, rows: item => item.pastEvents }
+    ],
+    [RESULT_TYPES.STOCK_HISTORY]: [
+        { name: 'stockHistory', columns: StockHistoryCrawler.STOCK_TABLE_HEADERS, rows: item => item.stockHistory },
+        { name: 'summaryStockHistory', columns: StockHistoryCrawler.SUMMARY_STOCK_TABLE_HEADERS, rows: item => item.summaryStockHistory }
+    ],
+    [RESULT_TYPES.TREASURE]: [
+        { name: 'treasures', columns: TreasureCrawler.TREASURE_TABLE_HEADER, rows: item => item.treasures },
+        {
+            name: 'transactions',
+            columns: { code: 'string', ...TreasureCrawler.TREASURE_DETAIL_TABLE_HEADER },
+            rows: item => item.treasures.flatMap(treasure => treasure.transactions.map(transaction => ({ code: treasure.code, ...transaction })))
+        }
+    ]
+};
+
+class ResultExporter {
+
+    /**
+     * Flattens the result of a crawler method into tables, one row for each item with its institution and account
+     * @param {String} type - Type of the result, one of RESULT_TYPES
+     * @param {Array} result - Result of a crawler method, like getWallet or getDividends
+     * @param {typedefs.ExportOptions} [options] - Options of the export, with the `moneyFormat` used by the crawler
+     * @returns {typedefs.ExportTable[]} - Tables of the result
+     */
+    static getTables(type, result, options = {}) {
+        const moneyFormat = options.moneyFormat || MONEY_FORMATS.NUMBER;
+        const tables = RESULT_TABLES[type];
+        if (!tables)
+            throw new CeiCrawlerError(CeiErrorTypes.SUBMIT_ERROR, `Tipo de resultado desconhecido: ${type}. Use um de ${Object.values(RESULT_TYPES).join(', ')}`);
+
+        return tables.map(table => {
+            const columnTypes = { ...ACCOUNT_COLUMNS, ...table.columns };
+            const columns = Object.keys(columnTypes).map(name => ({ name, type: CeiUtils.getValueType(columnTypes[name]) }));
+            const moneyColumns = new Set(Object.keys(columnTypes).filter(name => CeiUtils.isMoneyType(columnTypes[name])));
+
+            // Monetary values are exported as numbers, whatever the format returned by the crawler
+            const getValue = (row, name) => moneyColumns.has(name) && row[name] !== null && row[name] !== undefined
+                ? MoneyUtils.convert(row[name], moneyFormat, MONEY_FORMATS.NUMBER)
+                : row[name];
+
+            const rows = result.flatMap(item => (table.rows(item) || []).map(row => columns.map(column =>
+                column.name in ACCOUNT_COLUMNS ? item[column.name] : getValue(row, column.name)
+            )));
+
+            return { name: table.name, columns, rows };
+        });
+    }
+
+    /**
+     * Converts a table to CSV
+     * @param {typedefs.ExportTable} table - Table returned by getTables
+     * @param {typedefs.ExportOptions} [options] - Options of the export
+     * @returns {String} - CSV content
+     */
+    static toCsv(table, options = {}) {
+        const brazilianFormat = options.brazilianFormat || false;
+        const separator = brazilianFormat ? ';' : ',';
+
+        const escape = str => str.includes(separator) || /["\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+
+        const header = table.columns.map(column => escape(column.name));
+        const rows = table.rows.map(row => row.map((value, idx) =>
+            escape(this._formatValue(value, table.columns[idx].type, brazilianFormat))
+        ));
+
+        return [header, ...rows].map(line => line.join(separator)).join('\n') + '\n';
+    }
+
+    /**
+     * Converts tables to a XLSX file, one worksheet for each table
+     * @param {typedefs.ExportTable[]} tables - Tables returned by getTables
+     * @param {typedefs.ExportOptions} [options] - Options of the export
+     * @returns {Buffer} - Content of the XLSX file
+     */
+    static toXlsx(tables, options = {}) {
+        return XlsxWriter.write(tables, { brazilianFormat: options.brazilianFormat || false });
+    }
+
+    /**
+     * Formats a value of a column as text
+     * @param {any} value - Value to be formatted
+     * @param {String} type - Type of the column, as in the *_TABLE_HEADER definitions
+     * @param {boolean} brazilianFormat - Whether to use the pt-BR formatting
+     * @returns {String} - Formatted value
+     */
+    static _formatValue(value, type, brazilianFormat) {
+        if (value === null || value === undefined || (typeof value === 'number' && isNaN(value)))
+            return '';
+
+        if (value instanceof Date) {
+            if (brazilianFormat) return CeiUtils.getDateForInput(value);
+            return `${value.getFullYear()}-${(value.getMonth() + 1).toString().padStart(2, '0')}-${value.getDate().toString().padStart(2, '0')}`;
+        }
+
+        if (typeof value === 'number' && brazilianFormat)
+            return this._formatBrazilianNumber(value, type === 'int' ? 0 : 10);
+
+        return String(value);
+    }
+
+    /**
+     * Formats a number in pt-BR format, with dots as thousands separators and a comma before the decimals.
+     * Formatted by hand as Node builds with small-icu do not have the pt-BR locale for toLocaleString
+     * @param {Number} value - Number to be formatted
+     * @param {Number} maxDecimals - Maximum number of decimal places, the trailing zeros are removed
+     * @returns {String} - Formatted number
+     */
+    static _formatBrazilianNumber(value, maxDecimals) {
+        // The rounded number is converted back to its shortest text, which toFixed does not give for large numbers
+        const rounded = Number(Math.abs(value).toFixed(maxDecimals));
+        const text = /e/.test(String(rounded)) ? rounded.toFixed(maxDecimals) : String(rounded);
+        const [integer, decimal = ''] = text.split('.');
+        const trimmedDecimal = decimal.replace(/0+$/, '');
+        const formatted = integer.replace(/\B(?=(\d{3})+(?!\d))/g, '.') + (trimmedDecimal ? `,${trimmedDecimal}` : '');
+
+        return value < 0 && /[1-9]/.test(formatted) ? `-${formatted}` : formatted;
+    }
+}
+
+module.exports = ResultExporter;
+module.exports.RESULT_TYPES = RESULT_TYPES;
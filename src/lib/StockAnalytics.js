@@ -0,0 +1,241 @@
+const typedefs = require("./typedefs");
+const MoneyUtils = require('./MoneyUtils');
+const { MONEY_FORMATS } = MoneyUtils;
+const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError');
+
+const CORPORATE_EVENT_TYPES = Object.freeze({
+    DESDOBRAMENTO: 'desdobramento',
+    GRUPAMENTO: 'grupamento',
+    BONIFICACAO: 'bonificacao',
+    OUTROS: 'outros'
+});
+
+// Fractional market tickers are the regular ticker followed by F, like ITSA4F
+const FRACTIONAL_CODE_REGEX = /^([A-Z0-9]{4}\d{1,2})F$/;
+
+const BUY = 'C';
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class StockAnalytics {
+
+    /**
+     * Returns the code of the asset of a ticker, the same for the regular and the fractional market
+     * @param {String} code - Ticker, like ITSA4 or ITSA4F
+     * @returns {String} - Code of the asset, like ITSA4
+     */
+    static normalizeCode(code) {
+        const match = FRACTIONAL_CODE_REGEX.exec(code.trim().toUpperCase());
+        return match ? match[1] : code.trim().toUpperCase();
+    }
+
+    /**
+     * Returns the value of an operation, as shown by CEI, or calculated from quantity, price and quotation factor
+     * @param {typedefs.StockOperation} operation - The operation
+     * @param {String} [moneyFormat] - The `moneyFormat` of the crawler that returned the operation. Defaults to `number`
+     * @returns {Number|String} - Value of the operation, in the same format
+     */
+    static getOperationValue(operation, moneyFormat = MONEY_FORMATS.NUMBER) {
+        const totalValue = operation.totalValue;
+        if (totalValue !== null && totalValue !== undefined && !(typeof totalValue === 'number' && isNaN(totalValue)))
+            return totalValue;
+        return MoneyUtils.multiply(operation.price, operation.quantity / (operation.quotationFactor || 1), moneyFormat);
+    }
+
+    /**
+     * Returns how much a position is multiplied by a corporate event
+     * @param {typedefs.CorporateEvent} event - The event
+     * @returns {Number|null} - Factor of the quantity, or null if the event does not change positions
+     */
+    static getQuantityFactor(event) {
+        if (event.eventType === CORPORATE_EVENT_TYPES.DESDOBRAMENTO || event.eventType === CORPORATE_EVENT_TYPES.GRUPAMENTO)
+            return event.factor;
+        if (event.eventType === CORPORATE_EVENT_TYPES.BONIFICACAO)
+            return 1 + event.factor;
+        return null;
+    }
+
+    /**
+     * Throws a PARSE_ERROR if any row of the results has `warnings`. Without `strictValidation`, the invalid values of
+     * these rows are null, and calculating with them would give wrong positions and gains instead of an error
+     * @param {Object[]} items - Institution/account items of a result of the crawler
+     * @param {String[]} fields - Fields of the items with the rows, like `stockHistory`
+     */
+    static checkWarnings(items, fields) {
+        for (const item of items) {
+            for (const field of fields) {
+                (item[field] || []).forEach((row, idx) => {
+                    if (!row.warnings || row.warnings.length === 0) return;
+
+                    const problems = row.warnings.map(warning => `${warning.field}: ${warning.message}`).join('; ');
+                    throw new CeiCrawlerError(CeiErrorTypes.PARSE_ERROR, `Conta ${item.account}, ${field}, linha ${idx + 1} com valores inválidos (${problems})`);
+                });
+            }
+        }
+    }
+
+    /**
+     * Calculates the positions, weighted average costs and realized gains from the operations returned by getStockHistory.
+     * Operations are processed in chronological order. Selling more than the position opens a short position,
+     * whose average price is the sale price and whose gains are realized when it is bought back. Operations with `warnings` throw a PARSE_ERROR
+     * @param {typedefs.StockHistory[]} stockHistory - Result of getStockHistory or getFullStockHistory
+     * @param {Object} [options] - Options of the calculation
+     * @param {boolean} [options.groupByAccount] - Calculate each institution/account apart. By default, the positions of all accounts are consolidated
+     * @param {typedefs.CorporateEventsData[]} [options.corporateEvents] - Splits, reverse splits and bonus shares of each account, which CEI does not list in the stock history. They
+     * change the quantity of the positions held before their ex-date. Splits keep the total cost, while bonus shares add their value per share
+     * to it. Fractions of shares are discarded
+     * @param {String} [options.moneyFormat] - The `moneyFormat` of the crawler that returned the operations. The monetary values of the result are in the same format
+     * @returns {typedefs.StockAnalyticsResult} - Positions and realized gains
+     */
+    static analyze(stockHistory, options = {}) {
+        const groupByAccount = options.groupByAccount || false;
+        const moneyFormat = options.moneyFormat || MONEY_FORMATS.NUMBER;
+        // Totals are rounded to cents, unit values keep the precision of the calculation
+        const toMoney = value => MoneyUtils.fromNumber(value, moneyFormat);
+        const toTotal = value => MoneyUtils.fromNumber(roundMoney(value), moneyFormat, true);
+        const events = this._getPositionEvents(options.corporateEvents || [], groupByAccount, moneyFormat);
+
+        this.checkWarnings(stockHistory, ['stockHistory']);
+
+        const operations = stockHistory
+            .flatMap(item => item.stockHistory.map(operation => ({
+                ...operation,
+                institution: item.institution,
+                account: item.account,
+                value: MoneyUtils.toNumber(this.getOperationValue(operation, moneyFormat), moneyFormat)
+            })))
+            .map((operation, idx) => ({ operation, idx }))
+            // Stable sort by date, keeping the order of CEI for operations of the same day
+            .sort((a, b) => (a.operation.date - b.operation.date) || (a.idx - b.idx))
+            .map(({ operation }) => operation);
+
+        const positions = new Map();
+        const realizedGains = [];
+
+        // Events are applied before the operations of their ex-date, which are already traded with the new quantities
+        let nextEvent = 0;
+        const applyEventsUntil = date => {
+            for (; nextEvent < events.length && !(date && events[nextEvent].exDate > date); nextEvent++)
+                this._applyEvent(positions, events[nextEvent]);
+        };
+
+        for (const operation of operations) {
+            applyEventsUntil(operation.date);
+
+            const code = this.normalizeCode(operation.code);
+            const institution = groupByAccount ? operation.institution : null;
+            const account = groupByAccount ? operation.account : null;
+            const key = JSON.stringify([institution, account, code]);
+
+            if (!positions.has(key))
+                positions.set(key, { institution, account, code, quantity: 0, totalCost: 0, realizedGain: 0 });
+
+            const position = positions.get(key);
+            const direction = operation.operation === BUY ? 1 : -1;
+            const unitValue = operation.value / operation.quantity;
+
+            let quantity = operation.quantity;
+
+            // Closes the opposite position first, realizing its gain
+            if (position.quantity !== 0 && Math.sign(position.quantity) !== direction) {
+                const closedQuantity = Math.min(quantity, Math.abs(position.quantity));
+                const averageCost = position.totalCost / position.quantity;
+                const gain = (unitValue - averageCost) * closedQuantity * -direction;
+
+                realizedGains.push({
+                    institution,
+                    account,
+                    code,
+                    date: operation.date,
+                    operation: operation.operation,
+                    quantity: closedQuantity,
+                    price: toMoney(unitValue),
+                    averageCost: toMoney(averageCost),
+                    value: toTotal(unitValue * closedQuantity),
+                    cost: toTotal(averageCost * closedQuantity),
+                    gain: toTotal(gain)
+                });
+
+                position.realizedGain += gain;
+                position.totalCost -= averageCost * closedQuantity * -direction;
+                position.quantity += closedQuantity * direction;
+                quantity -= closedQuantity;
+
+                if (position.quantity === 0) position.totalCost = 0;
+            }
+
+            // Opens or increases the position
+            if (quantity > 0) {
+                position.quantity += quantity * direction;
+                position.totalCost += unitValue * quantity * direction;
+            }
+        }
+
+        applyEventsUntil(null);
+
+        return {
+            positions: [...positions.values()].map(position => ({
+                institution: position.institution,
+                account: position.account,
+                code: position.code,
+                quantity: position.quantity,
+                averageCost: toMoney(position.quantity !== 0 ? position.totalCost / position.quantity : 0),
+                totalCost: toTotal(Math.abs(position.totalCost)),
+                realizedGain: toTotal(position.realizedGain)
+            })),
+            realizedGains
+        };
+    }
+
+    /**
+     * Returns the events that change positions, sorted by ex-date. When the accounts are consolidated,
+     * the same event listed in more than one account is applied only once
+     * @param {typedefs.CorporateEventsData[]} corporateEvents - Corporate events of each account
+     * @param {boolean} groupByAccount - Whether the positions are calculated for each institution/account
+     * @param {String} moneyFormat - Format of the value per share of the events
+     * @returns {Object[]} - Events with the code of the asset, the quantity factor and the cost of each new share
+     */
+    static _getPositionEvents(corporateEvents, groupByAccount, moneyFormat) {
+        const events = new Map();
+
+        for (const item of corporateEvents) {
+            for (const event of item.events) {
+                const factor = this.getQuantityFactor(event);
+                if (factor === null || !event.exDate) continue;
+
+                const code = this.normalizeCode(event.code);
+                const institution = groupByAccount ? item.institution : null;
+                const account = groupByAccount ? item.account : null;
+                const key = JSON.stringify([institution, account, code, event.exDate.getTime(), event.eventType, factor]);
+
+                // Only bonus shares have a cost, the shares of splits divide the cost of the existing ones
+                const unitCost = event.eventType === CORPORATE_EVENT_TYPES.BONIFICACAO ? MoneyUtils.toNumber(event.value, moneyFormat) || 0 : 0;
+
+                if (!events.has(key))
+                    events.set(key, { institution, account, code, exDate: event.exDate, factor, unitCost });
+            }
+        }
+
+        return [...events.values()].sort((a, b) => a.exDate - b.exDate);
+    }
+
+    /**
+     * Changes the quantity of the position of the event, adding the cost of the bonus shares to its total cost
+     * @param {Map<String, Object>} positions - Positions by institution, account and code
+     * @param {Object} event - Event returned by _getPositionEvents
+     */
+    static _applyEvent(positions, event) {
+        const position = positions.get(JSON.stringify([event.institution, event.account, event.code]));
+        if (!position || position.quantity === 0) return;
+
+        const sign = Math.sign(position.quantity);
+        const quantity = Math.floor(Math.abs(position.quantity) * event.factor + 1e-9);
+
+        position.totalCost += sign * Math.max(quantity - Math.abs(position.quantity), 0) * event.unitCost;
+        position.quantity = sign * quantity;
+        if (position.quantity === 0) position.totalCost = 0;
+    }
+}
+
+module.exports = StockAnalytics;
+module.exports.CORPORATE_EVENT_TYPES = CORPORATE_EVENT_TYPES;
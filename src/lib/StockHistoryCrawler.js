@@ -1,12 +1,14 @@
 const typedefs = require("./typedefs");
 const CeiUtils = require('./CeiUtils');
+const MoneyUtils = require('./MoneyUtils');
+const { MONEY_FORMATS } = MoneyUtils;
 const FetchCookieManager = require('./FetchCookieManager');
 const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError')
 const cheerio = require('cheerio');
 const normalizeWhitespace = require('normalize-html-whitespace');
 
 const PAGE = {
-    URL: 'https://ceiapp.b3.com.br/CEI_Responsivo/negociacao-de-ativos.aspx',
+    URL: 'negociacao-de-ativos.aspx',
     SELECT_INSTITUTION: '#ctl00_ContentPlaceHolder1_ddlAgentes',
     SELECT_INSTITUTION_OPTIONS: '#ctl00_ContentPlaceHolder1_ddlAgentes option',
     SELECT_ACCOUNT: '#ctl00_ContentPlaceHolder1_ddlContas',
@@ -18,6 +20,9 @@ const PAGE = {
     STOCKS_DIV: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnAtivosNegociados',
     STOCKS_TABLE: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnAtivosNegociados table tbody',
     STOCKS_TABLE_ROWS: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnAtivosNegociados table tbody tr',
+    SUMMARY_STOCKS_DIV: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnResumoNegocios',
+    SUMMARY_STOCKS_TABLE: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnResumoNegocios table tbody',
+    SUMMARY_STOCKS_TABLE_ROWS: '#ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00_pnResumoNegocios table tbody tr',
     PAGE_ALERT_ERROR: '.alert-box.alert',
     PAGE_ALERT_SUCCESS: '.alert-box.success'
 }
@@ -30,22 +35,61 @@ const STOCK_TABLE_HEADERS = {
     code: 'string',
     name: 'string',
     quantity: 'int',
-    price: 'float',
-    totalValue: 'float',
+    price: 'money',
+    totalValue: 'money',
     quotationFactor: 'float'
 };
 
+const STOCK_TABLE_LABELS = {
+    date: ['Data do Negócio'],
+    operation: ['Compra/Venda'],
+    market: ['Mercado'],
+    expiration: ['Prazo/Vencimento'],
+    code: ['Código Negociação'],
+    name: ['Especificação do Ativo'],
+    quantity: ['Quantidade'],
+    price: ['Preço (R$)'],
+    totalValue: ['Valor Total(R$)'],
+    quotationFactor: ['Fator de Cotação']
+};
+
+const STOCK_TABLE_RULES = {
+    required: ['date', 'operation', 'code'],
+    nonNegative: ['quantity', 'price', 'totalValue', 'quotationFactor'],
+    nonFuture: ['date']
+};
+
 const SUMMARY_STOCK_TABLE_HEADERS = {
     code: 'string',
     period: 'string',
     buyAmount: 'int',
     saleAmount: 'int',
-    averageBuyPrice: 'float',
-    averageSalePrice: 'float',
+    averageBuyPrice: 'money',
+    averageSalePrice: 'money',
     quantityNet: 'int',
     position: 'string',
 };
 
+const SUMMARY_STOCK_TABLE_LABELS = {
+    code: ['Código Negociação'],
+    period: ['Período'],
+    buyAmount: ['Qtde. Compra'],
+    saleAmount: ['Qtde. Venda'],
+    averageBuyPrice: ['Preço Médio Compra'],
+    averageSalePrice: ['Preço Médio Venda'],
+    quantityNet: ['Quantidade Líquida'],
+    position: ['Posição']
+};
+
+const SUMMARY_STOCK_TABLE_RULES = {
+    required: ['code'],
+    nonNegative: ['buyAmount', 'saleAmount', 'averageBuyPrice', 'averageSalePrice']
+};
+
+const DEFAULT_HISTORY_WINDOW_DAYS = 90;
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
 const FETCH_OPTIONS = {
     STOCK_HISTORY_INSTITUTION: {
         "headers": {
@@ -60,7 +104,6 @@ const FETCH_OPTIONS = {
             "x-requested-with": "XMLHttpRequest",
             "Connection": "keep-alive"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/negociacao-de-ativos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -79,7 +122,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/negociacao-de-ativos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -135,13 +177,32 @@ class StockHistoryCrawler {
      * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
      * @param {Date} [startDate] - The start date of the history. If none passed, the default of CEI will be used
      * @param {Date} [endDate] - The end date of the history. If none passed, the default of CEI will be used
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
      * @returns {Promise<typedefs.StockHistory[]>} - List of Stock histories
      */
-    static async getStockHistory(cookieManager, options = null, startDate = null, endDate = null) {
+    static async getStockHistory(cookieManager, options = null, startDate = null, endDate = null, filter = null, progress = null) {
         const traceOperations = (options && options.trace) || false;
-        
-        const result = [];
 
+        const domPage = await this._loadPage(cookieManager, options, startDate, endDate);
+
+        return await CeiUtils.crawlAccounts(domPage, {
+            institutionOptions: PAGE.SELECT_INSTITUTION_OPTIONS,
+            loadPage: () => this._loadPage(cookieManager, options, startDate, endDate),
+            selectInstitution: (page, institution) => this._selectInstitution(page, cookieManager, institution),
+            getAccountData: (page, institution, account) => this._getAccountData(page, cookieManager, traceOperations, institution, account, options)
+        }, cookieManager, options, filter, progress);
+    }
+
+    /**
+     * Loads the stock history page and sets the dates in its form
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [startDate] - The start date of the history
+     * @param {Date} [endDate] - The end date of the history
+     * @returns {Promise<cheerio.Root>} - DOM of the page
+     */
+    static async _loadPage(cookieManager, options, startDate, endDate) {
         const getPage = await cookieManager.fetch(PAGE.URL);
         const domPage = cheerio.load(await getPage.text());
 
@@ -167,66 +228,194 @@ class StockHistoryCrawler {
             domPage(PAGE.END_DATE_INPUT).attr('value', CeiUtils.getDateForInput(endDate));
         }
 
-        // Get all institutions to iterate
-        const institutions = domPage(PAGE.SELECT_INSTITUTION_OPTIONS)
-            .map((_, option) => ({
-                value: option.attribs.value,
-                label: domPage(option).text()
-            })).get()
-            .filter(institution => institution.value > 0);
+        return domPage;
+    }
 
-        // Iterate over institutions, accounts, processing the stocks
-        for (const institution of institutions) {
-            /* istanbul ignore next */
-            if (traceOperations)
-                console.log(`Selecting institution ${institution.label} (${institution.value})`);
+    /**
+     * Selects the institution in the page and returns its accounts
+     * @param {cheerio.Root} domPage - DOM of the page
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.InstitutionOption} institution - The institution to be selected
+     * @returns {Promise<String[]>} - Accounts of the institution
+     */
+    static async _selectInstitution(domPage, cookieManager, institution) {
+        domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
+            
+        const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.STOCK_HISTORY_INSTITUTION, {
+            ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
+            __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
+        });
 
-            domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
-                
-            const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.STOCK_HISTORY_INSTITUTION, {
-                ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
-                __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
-            });
+        const req = await cookieManager.fetch(PAGE.URL, {
+            ...FETCH_OPTIONS.STOCK_HISTORY_INSTITUTION,
+            body: formDataInstitution
+        });
 
-            const req = await cookieManager.fetch(PAGE.URL, {
-                ...FETCH_OPTIONS.STOCK_HISTORY_INSTITUTION,
-                body: formDataInstitution
-            });
+        const reqInstitutionText = await req.text();
+        const reqInstitutionDOM = cheerio.load(reqInstitutionText);
 
-            const reqInstitutionText = await req.text();
-            const reqInstitutionDOM = cheerio.load(reqInstitutionText);
+        const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
+        CeiUtils.updateFieldsDOM(domPage, updtForm);
 
-            const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
-            CeiUtils.updateFieldsDOM(domPage, updtForm);
+        return reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
+            .map((_, option) => option.attribs.value).get()
+            .filter(account => account > 0);
+    }
 
-            const accounts = reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
-                .map((_, option) => option.attribs.value).get()
-                .filter(account => account > 0);
+    /**
+     * Selects the account in the page and returns its stock history
+     * @param {cheerio.Root} domPage - DOM of the page, with the institution already selected
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.InstitutionOption} institution - The selected institution
+     * @param {String} account - The account to be selected
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
+     * @returns {Promise<typedefs.StockHistory>} - Stock history of the account
+     */
+    static async _getAccountData(domPage, cookieManager, traceOperations, institution, account, options) {
+        /* istanbul ignore next */
+        if (traceOperations)
+            console.log(`Selecting account ${account}`);
+
+        domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
 
-            for (const account of accounts) {
-                /* istanbul ignore next */
-                if (traceOperations)
-                    console.log(`Selecting account ${account}`);
+        const { stockHistory, summaryStockHistory } = await this._getDataPage(domPage, cookieManager, traceOperations, options);
 
-                domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
+        /* istanbul ignore next */
+        if (traceOperations) {
+            console.log (`Found ${stockHistory.length} stockHistory operations`);
+            console.log (`Found ${summaryStockHistory.length} summaryStockHistory operations`);
+        }
 
-                const stockHistory = await this._getDataPage(domPage, cookieManager, traceOperations);
+        return {
+            institution: institution.label,
+            account: account,
+            stockHistory,
+            summaryStockHistory
+        };
+    }
 
-                /* istanbul ignore next */
-                if (traceOperations) {
-                    console.log (`Found ${stockHistory.length} stockHistory operations`);
-                }
+    /**
+     * Get the stock history of a date range of any length. The range is limited to the dates available at CEI and
+     * split into windows of `historyWindowDays` days, which are crawled one after the other and merged by institution/account
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [startDate] - The start date of the history. If none passed, the first date available at CEI will be used
+     * @param {Date} [endDate] - The end date of the history. If none passed, the last date available at CEI will be used
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the windows already crawled, filled while crawling. Used to resume an interrupted crawl
+     * @returns {Promise<typedefs.StockHistory[]>} - List of Stock histories, with the summary of each asset over the whole range in summaryStockHistory
+     */
+    static async getFullStockHistory(cookieManager, options = null, startDate = null, endDate = null, filter = null, progress = null) {
+        const traceOperations = (options && options.trace) || false;
+        const windowDays = (options && options.historyWindowDays) || DEFAULT_HISTORY_WINDOW_DAYS;
+
+        // The dates available are the initial values of the date inputs, no institution needs to be selected
+        const domPage = await this._loadPage(cookieManager, options, null, null);
+        const minDate = CeiUtils.getDateFromInput(domPage(PAGE.START_DATE_INPUT).attr('value'));
+        const maxDate = CeiUtils.getDateFromInput(domPage(PAGE.END_DATE_INPUT).attr('value'));
+
+        startDate = startDate === null || startDate < minDate ? minDate : startDate;
+        endDate = endDate === null || endDate > maxDate ? maxDate : endDate;
+
+        const merged = new Map();
+
+        for (const window of CeiUtils.splitDateRange(startDate, endDate, windowDays)) {
+            /* istanbul ignore next */
+            if (traceOperations)
+                console.log(`Crawling stock history from ${CeiUtils.getDateForInput(window.startDate)} to ${CeiUtils.getDateForInput(window.endDate)}`);
 
-                // Save the result
-                result.push({
-                    institution: institution.label,
-                    account: account,
-                    stockHistory
-                });
+            // Each window keeps the progress of its accounts, so a retry skips whole windows and accounts already crawled
+            const windowKey = `window/${CeiUtils.getDateForInput(window.startDate)}`;
+            const windowProgress = progress ? (progress.get(windowKey) || new Map()) : null;
+            if (progress) progress.set(windowKey, windowProgress);
+
+            const windowResult = await this.getStockHistory(cookieManager, options, window.startDate, window.endDate, filter, windowProgress);
+
+            for (const item of windowResult) {
+                const key = `${item.institution}/${item.account}`;
+                if (!merged.has(key))
+                    merged.set(key, { institution: item.institution, account: item.account, stockHistory: [], summaryStockHistory: [] });
+
+                const mergedItem = merged.get(key);
+                mergedItem.stockHistory = this._mergeOperations(mergedItem.stockHistory, item.stockHistory);
+                mergedItem.summaryStockHistory.push(...item.summaryStockHistory);
             }
         }
 
-        return result;
+        const moneyFormat = (options && options.moneyFormat) || MONEY_FORMATS.NUMBER;
+        return [...merged.values()].map(item => ({
+            ...item,
+            summaryStockHistory: this._mergeSummaries(item.summaryStockHistory, moneyFormat)
+        }));
+    }
+
+    /**
+     * Merges the summaries of the windows into one summary per asset, as CEI would return for the whole range.
+     * The average prices are weighted by the quantities bought and sold in each window
+     * @param {typedefs.SummaryStockOperation[]} summaries - Summaries of all windows, in the order of the windows
+     * @param {String} moneyFormat - Format of the money values, one of MONEY_FORMATS
+     * @returns {typedefs.SummaryStockOperation[]} - One summary per asset, in the order the assets first appear
+     */
+    static _mergeSummaries(summaries, moneyFormat) {
+        const byCode = new Map();
+        for (const summary of summaries) {
+            if (!byCode.has(summary.code)) byCode.set(summary.code, []);
+            byCode.get(summary.code).push(summary);
+        }
+
+        return [...byCode.values()].map(codeSummaries => {
+            const first = codeSummaries[0];
+            const last = codeSummaries[codeSummaries.length - 1];
+            const total = (amountField, priceField) => codeSummaries
+                .reduce((sum, summary) => sum + (summary[amountField] || 0) * (MoneyUtils.toNumber(summary[priceField], moneyFormat) || 0), 0);
+            const average = (amount, priceTotal) => MoneyUtils.fromNumber(amount > 0 ? roundMoney(priceTotal / amount) : 0, moneyFormat, true);
+
+            const buyAmount = codeSummaries.reduce((sum, summary) => sum + (summary.buyAmount || 0), 0);
+            const saleAmount = codeSummaries.reduce((sum, summary) => sum + (summary.saleAmount || 0), 0);
+            const quantityNet = buyAmount - saleAmount;
+            const warnings = codeSummaries.flatMap(summary => summary.warnings || []);
+
+            return {
+                code: first.code,
+                period: `${String(first.period).split(' a ')[0]} a ${String(last.period).split(' a ').pop()}`,
+                buyAmount,
+                saleAmount,
+                averageBuyPrice: average(buyAmount, total('buyAmount', 'averageBuyPrice')),
+                averageSalePrice: average(saleAmount, total('saleAmount', 'averageSalePrice')),
+                quantityNet: Math.abs(quantityNet),
+                position: quantityNet > 0 ? 'COMPRADA' : quantityNet < 0 ? 'VENDIDA' : 'ZERADA',
+                ...(warnings.length > 0 ? { warnings } : {})
+            };
+        });
+    }
+
+    /**
+     * Appends the operations of a window to the ones already crawled, ignoring operations returned again by CEI.
+     * Equal operations inside the same window are different trades and are all kept
+     * @param {typedefs.StockOperation[]} operations - Operations already crawled
+     * @param {typedefs.StockOperation[]} windowOperations - Operations of the window
+     * @returns {typedefs.StockOperation[]} - Merged operations
+     */
+    static _mergeOperations(operations, windowOperations) {
+        const operationKey = operation => JSON.stringify(Object.keys(STOCK_TABLE_HEADERS).map(column => operation[column]));
+
+        const remaining = new Map();
+        for (const operation of operations) {
+            const key = operationKey(operation);
+            remaining.set(key, (remaining.get(key) || 0) + 1);
+        }
+
+        const newOperations = windowOperations.filter(operation => {
+            const key = operationKey(operation);
+            const count = remaining.get(key) || 0;
+            if (count === 0) return true;
+
+            remaining.set(key, count - 1);
+            return false;
+        });
+
+        return [...operations, ...newOperations];
     }
 
     /**
@@ -282,8 +471,9 @@ class StockHistoryCrawler {
      * @param {cheerio.Root} dom DOM of page
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
      */
-    static async _getDataPage(dom, cookieManager, traceOperations) {
+    static async _getDataPage(dom, cookieManager, traceOperations, options) {
         while(true) {
             const formDataHistory = CeiUtils.extractFormDataFromDOM(dom, FETCH_FORMS.STOCK_HISTORY_ACCOUNT, {
                 ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$btnConsultar',
@@ -308,10 +498,14 @@ class StockHistoryCrawler {
             if (traceOperations)
                 console.log(`Processing stock history data`);
 
-            const stockHistory = this._processStockHistory(historyDOM);
+            const stockHistory = this._processStockHistory(historyDOM, false, options);
+            const summaryStockHistory = this._processStockHistory(historyDOM, true, options);
 
             if (errorMessage.type !== undefined || stockHistory.length > 0) {
-                return stockHistory;
+                return {
+                    stockHistory,
+                    summaryStockHistory
+                };
             }
             
             const updtForm = CeiUtils.extractUpdateForm(historyText);
@@ -322,26 +516,28 @@ class StockHistoryCrawler {
     /**
      * Process the stock history to a DTO
      * @param {cheerio.Root} dom DOM table stock history
-     * @param {boolean} isSummary Get Summary Stock History
+     * @param {boolean} [isSummary] Get Summary Stock History
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, used to parse the table values
      */
-    static _processStockHistory(dom) {
-        const tableHeaders = STOCK_TABLE_HEADERS;
-        const tableRowsSelector = PAGE.STOCKS_TABLE_ROWS;
-        const headers = Object.keys(tableHeaders);
-
-        const data = dom(tableRowsSelector)
-            .map((_, tr) => dom('td', tr)
-                .map((_, td) => dom(td).text().trim())
-                .get()
-                .reduce((dict, txt, idx) => {
-                    dict[headers[idx]] = txt;
-                    return dict;
-                }, {})
-            ).get();
-
-        return CeiUtils.parseTableTypes(data, tableHeaders);
+    static _processStockHistory(dom, isSummary = false, options = null) {
+        const tableHeaders = isSummary ? SUMMARY_STOCK_TABLE_HEADERS : STOCK_TABLE_HEADERS;
+        const tableLabels = isSummary ? SUMMARY_STOCK_TABLE_LABELS : STOCK_TABLE_LABELS;
+        const tableRules = isSummary ? SUMMARY_STOCK_TABLE_RULES : STOCK_TABLE_RULES;
+        const tableRowsSelector = isSummary ? PAGE.SUMMARY_STOCKS_TABLE_ROWS : PAGE.STOCKS_TABLE_ROWS;
+        const data = CeiUtils.extractTableRows(dom, dom(tableRowsSelector), tableLabels);
+
+        const parsed = CeiUtils.parseTableTypes(data, tableHeaders, options);
+        return CeiUtils.validateRows(parsed, tableHeaders, tableRules, options);
     }
 
 }
 
 module.exports = StockHistoryCrawler;
+module.exports.PAGE = PAGE;
+module.exports.FETCH_FORMS = FETCH_FORMS;
+module.exports.STOCK_TABLE_HEADERS = STOCK_TABLE_HEADERS;
+module.exports.STOCK_TABLE_LABELS = STOCK_TABLE_LABELS;
+module.exports.STOCK_TABLE_RULES = STOCK_TABLE_RULES;
+module.exports.SUMMARY_STOCK_TABLE_HEADERS = SUMMARY_STOCK_TABLE_HEADERS;
+module.exports.SUMMARY_STOCK_TABLE_LABELS = SUMMARY_STOCK_TABLE_LABELS;
+module.exports.SUMMARY_STOCK_TABLE_RULES = SUMMARY_STOCK_TABLE_RULES;
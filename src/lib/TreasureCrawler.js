@@ -6,7 +6,7 @@ const cheerio = require('cheerio');
 const normalizeWhitespace = require('normalize-html-whitespace');
 
 const PAGE = {
-    URL: 'https://ceiapp.b3.com.br/CEI_Responsivo/extrato-tesouro-direto.aspx',
+    URL: 'extrato-tesouro-direto.aspx',
     SELECT_INSTITUTION: '#ctl00_ContentPlaceHolder1_ddlAgentes',
     SELECT_INSTITUTION_OPTIONS: '#ctl00_ContentPlaceHolder1_ddlAgentes option',
     SELECT_ACCOUNT: '#ctl00_ContentPlaceHolder1_ddlContas',
@@ -30,29 +30,68 @@ const PAGE = {
 const TREASURE_TABLE_HEADER = {
     code: 'string',
     expirationDate: 'date',
-    investedValue: 'float',
-    grossValue: 'float',
-    netValue: 'float',
+    investedValue: 'money',
+    grossValue: 'money',
+    netValue: 'money',
     quantity: 'float',
     blocked: 'float'
 };
 
+const TREASURE_TABLE_LABELS = {
+    code: ['Título'],
+    expirationDate: ['Vencimento'],
+    investedValue: ['Valor Investido'],
+    grossValue: ['Valor Bruto Atual'],
+    netValue: ['Valor Líquido Atual'],
+    quantity: ['Quant. Total'],
+    blocked: ['Quant. Bloqueada']
+};
+
+const TREASURE_TABLE_RULES = {
+    required: ['code', 'expirationDate'],
+    nonNegative: ['investedValue', 'grossValue', 'netValue', 'quantity', 'blocked']
+};
+
 const TREASURE_DETAIL_TABLE_HEADER = {
     tradeDate: 'date',
     quantity: 'float',
-    price: 'float',
-    notional: 'float',
+    price: 'money',
+    notional: 'money',
     profitability: 'string',
     grossProfitability: 'string',
-    grossProfitabilityPercent: 'float',
-    grossValue: 'float',
-    investmentTerm: 'float',
-    taxBracket: 'float',
-    taxIrValue: 'float',
-    taxIofValue: 'float',
-    feeB3Value: 'float',
-    feeInstitutionValue: 'float',
-    netValue: 'float',
+    grossProfitabilityPercent: 'percent',
+    grossValue: 'money',
+    investmentTerm: 'int',
+    taxBracket: 'percent',
+    taxIrValue: 'money',
+    taxIofValue: 'money',
+    feeB3Value: 'money',
+    feeInstitutionValue: 'money',
+    netValue: 'money',
+};
+
+const TREASURE_DETAIL_TABLE_LABELS = {
+    tradeDate: ['Data Aplicação'],
+    quantity: ['Quantidade'],
+    price: ['Preço Título (R$)'],
+    notional: ['Valor Investido (R$)'],
+    profitability: ['Rentabilidade Contratada'],
+    grossProfitability: ['Rentabilidade Bruta Anualizada'],
+    grossProfitabilityPercent: ['Rentabilidade Bruta (%)'],
+    grossValue: ['Valor Bruto Atual (R$)'],
+    investmentTerm: ['Dias Corridos'],
+    taxBracket: ['Alíquota IR (%)'],
+    taxIrValue: ['Valor IR (R$)'],
+    taxIofValue: ['Valor IOF (R$)'],
+    feeB3Value: ['Taxa B3 (R$)'],
+    feeInstitutionValue: ['Taxa Agente (R$)'],
+    netValue: ['Valor Líquido Atual (R$)']
+};
+
+const TREASURE_DETAIL_TABLE_RULES = {
+    required: ['tradeDate'],
+    nonNegative: ['quantity', 'price', 'notional', 'grossValue', 'investmentTerm', 'taxIrValue', 'taxIofValue', 'feeB3Value', 'feeInstitutionValue', 'netValue'],
+    nonFuture: ['tradeDate']
 };
 
 const FETCH_OPTIONS = {
@@ -68,7 +107,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/extrato-tesouro-direto.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -87,7 +125,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/extrato-tesouro-direto.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -106,7 +143,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/extrato-tesouro-direto.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -164,13 +200,31 @@ class TreasureCrawler {
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
      * @param {Date} [date] - The date of the treasure. If none passed, the default of CEI will be used
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
      * @returns {Promise<typedefs.TreasureItem[]>} - List of treasures
      */
-    static async getTreasure(cookieManager, options = null, date = null) {
+    static async getTreasure(cookieManager, options = null, date = null, filter = null, progress = null) {
         const traceOperations = (options && options.trace) || false;
 
-        const result = [];
+        const domPage = await this._loadPage(cookieManager, options, date);
 
+        return await CeiUtils.crawlAccounts(domPage, {
+            institutionOptions: PAGE.SELECT_INSTITUTION_OPTIONS,
+            loadPage: () => this._loadPage(cookieManager, options, date),
+            selectInstitution: (page, institution) => this._selectInstitution(page, cookieManager, institution),
+            getAccountData: (page, institution, account) => this._getAccountData(page, cookieManager, traceOperations, institution, account, options)
+        }, cookieManager, options, filter, progress);
+    }
+
+    /**
+     * Loads the treasure page and sets the date in its form
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [date] - The date of the treasure
+     * @returns {Promise<cheerio.Root>} - DOM of the page
+     */
+    static async _loadPage(cookieManager, options, date) {
         const getPage = await cookieManager.fetch(PAGE.URL);
         const domPage = cheerio.load(await getPage.text());
 
@@ -187,64 +241,66 @@ class TreasureCrawler {
             domPage(PAGE.DATE_INPUT).attr('value', CeiUtils.getDateForInput(date));
         }
 
-        // Get all institutions to iterate
-        const institutions = domPage(PAGE.SELECT_INSTITUTION_OPTIONS)
-            .map((_, option) => ({
-                value: option.attribs.value,
-                label: domPage(option).text()
-            })).get()
-            .filter(institution => institution.value > 0);
-
-        for (const institution of institutions) {
-
-            /* istanbul ignore next */
-            if (traceOperations)
-                console.log(`Selecting institution ${institution.label} (${institution.value})`)
+        return domPage;
+    }
 
-            domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
+    /**
+     * Selects the institution in the page and returns its accounts
+     * @param {cheerio.Root} domPage - DOM of the page
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.InstitutionOption} institution - The institution to be selected
+     * @returns {Promise<{accounts: String[], updtForm: Object[]}>} - Accounts of the institution and the fields updated in the page
+     */
+    static async _selectInstitution(domPage, cookieManager, institution) {
+        domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
 
-            const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.TREASURE_INSTITUTION, {
-                ctl00$ContentPlaceHolder1$smAlgumaCoisa: 'ctl00$ContentPlaceHolder1$pnlPanel|ctl00$ContentPlaceHolder1$ddlAgentes',
-                __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
-            });
+        const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.TREASURE_INSTITUTION, {
+            ctl00$ContentPlaceHolder1$smAlgumaCoisa: 'ctl00$ContentPlaceHolder1$pnlPanel|ctl00$ContentPlaceHolder1$ddlAgentes',
+            __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
+        });
 
-            const req = await cookieManager.fetch(PAGE.URL, {
-                ...FETCH_OPTIONS.TREASURE_INSTITUTION,
-                body: formDataInstitution
-            });
+        const req = await cookieManager.fetch(PAGE.URL, {
+            ...FETCH_OPTIONS.TREASURE_INSTITUTION,
+            body: formDataInstitution
+        });
 
-            const reqInstitutionText = await req.text();
-            const reqInstitutionDOM = cheerio.load(reqInstitutionText);
+        const reqInstitutionText = await req.text();
+        const reqInstitutionDOM = cheerio.load(reqInstitutionText);
 
-            const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
-            CeiUtils.updateFieldsDOM(domPage, updtForm);
+        const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
+        CeiUtils.updateFieldsDOM(domPage, updtForm);
 
-            const accounts = reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
-                .map((_, option) => option.attribs.value).get()
-                .filter(account => account > 0);
+        const accounts = reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
+            .map((_, option) => option.attribs.value).get()
+            .filter(account => account > 0);
 
-            for (const account of accounts) {
-                /* istanbul ignore next */
-                if (traceOperations)
-                    console.log(`Selecting account ${account}`);
-
-                domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
+        return { accounts, updtForm };
+    }
 
-                const treasures = await this._getDataPage(domPage, cookieManager, traceOperations);
+    /**
+     * Selects the account in the page and returns its treasures
+     * @param {cheerio.Root} domPage - DOM of the page, with the institution already selected
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.InstitutionOption} institution - The selected institution
+     * @param {String} account - The account to be selected
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
+     * @returns {Promise<Object>} - Treasures of the account
+     */
+    static async _getAccountData(domPage, cookieManager, traceOperations, institution, account, options) {
+        /* istanbul ignore next */
+        if (traceOperations)
+            console.log(`Selecting account ${account}`);
 
-                const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
-                CeiUtils.updateFieldsDOM(domPage, updtForm);
+        domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
 
-                // Save the result
-                result.push({
-                    institution: institution.label,
-                    account: account,
-                    treasures,
-                });
-            }
-        }
+        const treasures = await this._getDataPage(domPage, cookieManager, traceOperations, options);
 
-        return result;
+        return {
+            institution: institution.label,
+            account: account,
+            treasures,
+        };
     }
 
     /**
@@ -295,8 +351,9 @@ class TreasureCrawler {
      * @param {cheerio.Root} dom DOM of page
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
      */
-    static async _getDataPage(dom, cookieManager, traceOperations) {
+    static async _getDataPage(dom, cookieManager, traceOperations, options) {
         while(true) {
             const formDataWallet = CeiUtils.extractFormDataFromDOM(dom, FETCH_FORMS.TREASURE_ACCOUNT, {
                 ctl00$ContentPlaceHolder1$smAlgumaCoisa: 'ctl00$ContentPlaceHolder1$pnlPanel|ctl00$ContentPlaceHolder1$btnConsultar',
@@ -326,8 +383,8 @@ class TreasureCrawler {
                 console.log(`Processing treasure data`);
 
             if (errorMessage.type !== undefined || this._hasLoadedData(treasureDOM, PAGE.RESULT_FOOTER_TREASURE)) {
-                const treasures = this._processTableData(treasureDOM, TREASURE_TABLE_HEADER, PAGE.TREASURE_TABLE_BODY_ROWS);
-                return await this._getDataPageDetail(dom, cookieManager, traceOperations, treasures);
+                const treasures = this._processTableData(treasureDOM, TREASURE_TABLE_HEADER, TREASURE_TABLE_LABELS, TREASURE_TABLE_RULES, PAGE.TREASURE_TABLE_BODY_ROWS, options);
+                return await this._getDataPageDetail(dom, cookieManager, traceOperations, treasures, options);
             }
 
             if(this._hasEmptyData(treasureDOM)) {
@@ -342,8 +399,9 @@ class TreasureCrawler {
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Boolean} traceOperations - Whether to trace operations or not
      * @param {TreasureTransactionItem[]} treasures - List of treasures
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
      */
-    static async _getDataPageDetail(dom, cookieManager, traceOperations, treasures) {
+    static async _getDataPageDetail(dom, cookieManager, traceOperations, treasures, options) {
         for(const row in treasures) {
             const treasure = treasures[row];
             const key = String(+row + 1).padStart(2, '0');
@@ -381,7 +439,7 @@ class TreasureCrawler {
 
             treasures[row].transactions = [];
             if (errorMessage.type !== undefined || this._hasLoadedData(treasureDetailDOM, PAGE.RESULT_FOOTER_TREASURE_DETAIL)) {
-                treasures[row].transactions = this._processTableData(treasureDetailDOM, TREASURE_DETAIL_TABLE_HEADER, PAGE.TREASURE_DETAIL_TABLE_BODY_ROWS);
+                treasures[row].transactions = this._processTableData(treasureDetailDOM, TREASURE_DETAIL_TABLE_HEADER, TREASURE_DETAIL_TABLE_LABELS, TREASURE_DETAIL_TABLE_RULES, PAGE.TREASURE_DETAIL_TABLE_BODY_ROWS, options);
             }
         }
 
@@ -392,22 +450,16 @@ class TreasureCrawler {
      * Process the treasure table to a DTO
      * @param {cheerio.Root} dom DOM table stock history
      * @param {Array} header List of fields in table header
+     * @param {Object<String, String[]>} labels Labels of the column of each field
+     * @param {typedefs.TableRules} rules Required and non-negative fields of the table
      * @param {String} rows Name of element for table rows
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, used to parse the table values
      */
-    static _processTableData(dom, header, rows) {
-        const headers = Object.keys(header);
-
-        const data = dom(rows)
-            .map((_, tr) => dom('td', tr)
-                .map((_, td) => dom(td).text().trim())
-                .get()
-                .reduce((dict, txt, idx) => {
-                    dict[headers[idx]] = txt;
-                    return dict;
-                }, {})
-            ).get();
-
-        return CeiUtils.parseTableTypes(data, header);
+    static _processTableData(dom, header, labels, rules, rows, options = null) {
+        const data = CeiUtils.extractTableRows(dom, dom(rows), labels);
+
+        const parsed = CeiUtils.parseTableTypes(data, header, options);
+        return CeiUtils.validateRows(parsed, header, rules, options);
     }
 
     /**
@@ -432,3 +484,11 @@ class TreasureCrawler {
 }
 
 module.exports = TreasureCrawler;
+module.exports.PAGE = PAGE;
+module.exports.FETCH_FORMS = FETCH_FORMS;
+module.exports.TREASURE_TABLE_HEADER = TREASURE_TABLE_HEADER;
+module.exports.TREASURE_TABLE_LABELS = TREASURE_TABLE_LABELS;
+module.exports.TREASURE_TABLE_RULES = TREASURE_TABLE_RULES;
+module.exports.TREASURE_DETAIL_TABLE_HEADER = TREASURE_DETAIL_TABLE_HEADER;
+module.exports.TREASURE_DETAIL_TABLE_LABELS = TREASURE_DETAIL_TABLE_LABELS;
+module.exports.TREASURE_DETAIL_TABLE_RULES = TREASURE_DETAIL_TABLE_RULES;
@@ -1,12 +1,14 @@
 const typedefs = require("./typedefs");
 const CeiUtils = require('./CeiUtils');
+const MoneyUtils = require('./MoneyUtils');
+const { MONEY_FORMATS } = MoneyUtils;
 const FetchCookieManager = require('./FetchCookieManager');
 const { CeiCrawlerError, CeiErrorTypes } = require('./CeiCrawlerError')
 const cheerio = require('cheerio');
 const normalizeWhitespace = require('normalize-html-whitespace');
 
 const PAGE = {
-    URL: 'https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarCarteiraAtivos.aspx',
+    URL: 'ConsultarCarteiraAtivos.aspx',
     SELECT_INSTITUTION: '#ctl00_ContentPlaceHolder1_ddlAgentes',
     SELECT_INSTITUTION_OPTIONS: '#ctl00_ContentPlaceHolder1_ddlAgentes option',
     SELECT_ACCOUNT: '#ctl00_ContentPlaceHolder1_ddlContas',
@@ -33,22 +35,53 @@ const STOCK_WALLET_TABLE_HEADER = {
     stockType: 'string',
     code: 'string',
     isin: 'string',
-    price: 'float',
+    price: 'money',
     quantity: 'int',
     quotationFactor: 'float',
-    totalValue: 'float'
+    totalValue: 'money'
+};
+
+const STOCK_WALLET_TABLE_LABELS = {
+    company: ['Empresa'],
+    stockType: ['Tipo'],
+    code: ['Cód. de Negociação'],
+    isin: ['Cod.ISIN'],
+    price: ['Preço (R$)*', 'Preço (R$)'],
+    quantity: ['Qtde.', 'Quantidade'],
+    quotationFactor: ['Fator Cotação'],
+    totalValue: ['Valor (R$)']
+};
+
+const STOCK_WALLET_TABLE_RULES = {
+    required: ['code'],
+    nonNegative: ['price', 'quantity', 'quotationFactor', 'totalValue']
 };
 
 const TREASURE_WALLET_TABLE_HEADER = {
     code: 'string',
     expirationDate: 'date',
-    investedValue: 'float',
-    grossValue: 'float',
-    netValue: 'float',
+    investedValue: 'money',
+    grossValue: 'money',
+    netValue: 'money',
     quantity: 'float',
     blocked: 'float'
 };
 
+const TREASURE_WALLET_TABLE_LABELS = {
+    code: ['Título'],
+    expirationDate: ['Vencimento'],
+    investedValue: ['Valor Investido'],
+    grossValue: ['Valor Bruto Atual'],
+    netValue: ['Valor Líquido Atual'],
+    quantity: ['Quantidade', 'Quant. Total'],
+    blocked: ['Bloqueado', 'Quant. Bloqueada']
+};
+
+const TREASURE_WALLET_TABLE_RULES = {
+    required: ['code', 'expirationDate'],
+    nonNegative: ['investedValue', 'grossValue', 'netValue', 'quantity', 'blocked']
+};
+
 const FETCH_OPTIONS = {
     WALLET_INSTITUTION: {
         "headers": {
@@ -62,7 +95,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarCarteiraAtivos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -81,7 +113,6 @@ const FETCH_OPTIONS = {
           "x-microsoftajax": "Delta=true",
           "x-requested-with": "XMLHttpRequest"
         },
-        "referrer": "https://ceiapp.b3.com.br/CEI_Responsivo/ConsultarCarteiraAtivos.aspx",
         "referrerPolicy": "strict-origin-when-cross-origin",
         "body": null,
         "method": "POST",
@@ -129,13 +160,107 @@ class WalletCrawler {
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
      * @param {Date} [date] - The date of the wallet. If none passed, the default of CEI will be used
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
      * @returns {Promise<typedefs.AccountWallet[]>} - List of Stock histories
      */
-    static async getWallet(cookieManager, options = null, date = null) {
+    static async getWallet(cookieManager, options = null, date = null, filter = null, progress = null) {
+        const traceOperations = (options && options.trace) || false;
+
+        const domPage = await this._loadPage(cookieManager, options, date);
+
+        return await CeiUtils.crawlAccounts(domPage, {
+            institutionOptions: PAGE.SELECT_INSTITUTION_OPTIONS,
+            loadPage: () => this._loadPage(cookieManager, options, date),
+            selectInstitution: (page, institution) => this._selectInstitution(page, cookieManager, institution),
+            getAccountData: (page, institution, account) => this._getAccountData(page, cookieManager, traceOperations, institution, account, options)
+        }, cookieManager, options, filter, progress);
+    }
+
+    /**
+     * Get the totals of the wallet of each account in every date of a range. The page is loaded once and the dates
+     * are submitted one after the other for each account, reusing the postback chain
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [startDate] - The start date of the series. If none passed or before the first date available, the first date available will be used
+     * @param {Date} [endDate] - The end date of the series. If none passed or after the last date available, the last date available will be used
+     * @param {Number} [step] - Number of days between the dates. If none passed, every business day is crawled
+     * @param {typedefs.InstitutionFilter|typedefs.InstitutionOption[]|typedefs.InstitutionFilterCallback} [filter] - Institutions and accounts to be crawled. If none passed, all of them will be crawled
+     * @param {Map<String, Object>} [progress] - Results of the accounts already crawled, filled while crawling. Used to resume an interrupted crawl
+     * @returns {Promise<typedefs.AccountWalletSeries[]>} - Series of each account
+     */
+    static async getWalletSeries(cookieManager, options = null, startDate = null, endDate = null, step = null, filter = null, progress = null) {
         const traceOperations = (options && options.trace) || false;
 
-        const result = [];
+        const domPage = await this._loadPage(cookieManager, options, null);
+
+        const minDate = CeiUtils.getDateFromInput(domPage(PAGE.DATE_MIN_VALUE).text().trim());
+        const maxDate = CeiUtils.getDateFromInput(domPage(PAGE.DATE_MAX_VALUE).text().trim());
+        const dates = CeiUtils.getDatesInRange(
+            startDate === null || startDate < minDate ? minDate : startDate,
+            endDate === null || endDate > maxDate ? maxDate : endDate,
+            step);
+
+        return await CeiUtils.crawlAccounts(domPage, {
+            institutionOptions: PAGE.SELECT_INSTITUTION_OPTIONS,
+            loadPage: () => this._loadPage(cookieManager, options, null),
+            selectInstitution: (page, institution) => this._selectInstitution(page, cookieManager, institution),
+            getAccountData: (page, institution, account) => this._getAccountSeries(page, cookieManager, traceOperations, institution, account, dates, options)
+        }, cookieManager, options, filter, progress);
+    }
+
+    /**
+     * Submits each date for the account and returns the totals of its wallet
+     * @param {cheerio.Root} domPage - DOM of the page, with the institution already selected
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.InstitutionOption} institution - The selected institution
+     * @param {String} account - The account to be selected
+     * @param {Date[]} dates - Dates of the series
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
+     * @returns {Promise<typedefs.AccountWalletSeries>} - Series of the account
+     */
+    static async _getAccountSeries(domPage, cookieManager, traceOperations, institution, account, dates, options) {
+        const moneyFormat = (options && options.moneyFormat) || MONEY_FORMATS.NUMBER;
+        const sum = (items, field) => MoneyUtils.sum(items.map(item => item[field]).filter(value => value !== null && value !== undefined), moneyFormat);
+        const series = [];
+
+        for (const date of dates) {
+            /* istanbul ignore next */
+            if (traceOperations)
+                console.log(`Getting wallet at ${CeiUtils.getDateForInput(date)}`);
+
+            domPage(PAGE.DATE_INPUT).attr('value', CeiUtils.getDateForInput(date));
+            const { stockWallet, nationalTreasuryWallet } = await this._getAccountData(domPage, cookieManager, traceOperations, institution, account, options);
+
+            const stockWalletValue = sum(stockWallet, 'totalValue');
+            const nationalTreasuryGrossValue = sum(nationalTreasuryWallet, 'grossValue');
+
+            series.push({
+                date,
+                stockWalletValue,
+                nationalTreasuryInvestedValue: sum(nationalTreasuryWallet, 'investedValue'),
+                nationalTreasuryGrossValue,
+                nationalTreasuryNetValue: sum(nationalTreasuryWallet, 'netValue'),
+                totalValue: MoneyUtils.add(stockWalletValue, nationalTreasuryGrossValue, moneyFormat)
+            });
+        }
+
+        return {
+            institution: institution.label,
+            account: account,
+            series
+        };
+    }
 
+    /**
+     * Loads the wallet page and sets the date in its form
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options for the crawler
+     * @param {Date} [date] - The date of the wallet
+     * @returns {Promise<cheerio.Root>} - DOM of the page
+     */
+    static async _loadPage(cookieManager, options, date) {
         const getPage = await cookieManager.fetch(PAGE.URL);
         const domPage = cheerio.load(await getPage.text());
 
@@ -160,62 +285,65 @@ class WalletCrawler {
             domPage(PAGE.DATE_INPUT).attr('value', CeiUtils.getDateForInput(date));
         }
 
-        // Get all institutions to iterate
-        const institutions = domPage(PAGE.SELECT_INSTITUTION_OPTIONS)
-            .map((_, option) => ({
-                value: option.attribs.value,
-                label: domPage(option).text()
-            })).get()
-            .filter(institution => institution.value > 0);
+        return domPage;
+    }
 
-        for (const institution of institutions) {
+    /**
+     * Selects the institution in the page and returns its accounts
+     * @param {cheerio.Root} domPage - DOM of the page
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {typedefs.InstitutionOption} institution - The institution to be selected
+     * @returns {Promise<String[]>} - Accounts of the institution
+     */
+    static async _selectInstitution(domPage, cookieManager, institution) {
+        domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
 
-            /* istanbul ignore next */
-            if (traceOperations)
-                console.log(`Selecting institution ${institution.label} (${institution.value})`)
+        const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.WALLET_INSTITUTION, {
+            ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
+            __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
+        });
 
-            domPage(PAGE.SELECT_INSTITUTION).attr('value', institution.value);
+        const req = await cookieManager.fetch(PAGE.URL, {
+            ...FETCH_OPTIONS.WALLET_INSTITUTION,
+            body: formDataInstitution
+        });
 
-            const formDataInstitution = CeiUtils.extractFormDataFromDOM(domPage, FETCH_FORMS.WALLET_INSTITUTION, {
-                ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$ddlAgentes',
-                __EVENTTARGET: 'ctl00$ContentPlaceHolder1$ddlAgentes'
-            });
+        const reqInstitutionText = await req.text();
+        const reqInstitutionDOM = cheerio.load(reqInstitutionText);
 
-            const req = await cookieManager.fetch(PAGE.URL, {
-                ...FETCH_OPTIONS.WALLET_INSTITUTION,
-                body: formDataInstitution
-            });
+        const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
+        CeiUtils.updateFieldsDOM(domPage, updtForm);
+
+        return reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
+            .map((_, option) => option.attribs.value).get()
+            .filter(account => account > 0);
+    }
 
-            const reqInstitutionText = await req.text();
-            const reqInstitutionDOM = cheerio.load(reqInstitutionText);
+    /**
+     * Selects the account in the page and returns its wallet
+     * @param {cheerio.Root} domPage - DOM of the page, with the institution already selected
+     * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
+     * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.InstitutionOption} institution - The selected institution
+     * @param {String} account - The account to be selected
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
+     * @returns {Promise<typedefs.AccountWallet>} - Wallet of the account
+     */
+    static async _getAccountData(domPage, cookieManager, traceOperations, institution, account, options) {
+        /* istanbul ignore next */
+        if (traceOperations)
+            console.log(`Selecting account ${account}`);
 
-            const updtForm = CeiUtils.extractUpdateForm(reqInstitutionText);
-            CeiUtils.updateFieldsDOM(domPage, updtForm);
+        domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
 
-            const accounts = reqInstitutionDOM(PAGE.SELECT_ACCOUNT_OPTIONS)
-                .map((_, option) => option.attribs.value).get()
-                .filter(account => account > 0);
-            
-            for (const account of accounts) {
-                /* istanbul ignore next */
-                if (traceOperations)
-                    console.log(`Selecting account ${account}`);
-
-                domPage(PAGE.SELECT_ACCOUNT).attr('value', account);
-        
-                const { stockWallet, nationalTreasuryWallet } = await this._getDataPage(domPage, cookieManager, traceOperations);
-
-                // Save the result
-                result.push({
-                    institution: institution.label,
-                    account: account,
-                    stockWallet: stockWallet,
-                    nationalTreasuryWallet: nationalTreasuryWallet
-                });
-            }
-        }
+        const { stockWallet, nationalTreasuryWallet } = await this._getDataPage(domPage, cookieManager, traceOperations, options);
 
-        return result;
+        return {
+            institution: institution.label,
+            account: account,
+            stockWallet: stockWallet,
+            nationalTreasuryWallet: nationalTreasuryWallet
+        };
     }
 
     /**
@@ -272,8 +400,9 @@ class WalletCrawler {
      * @param {cheerio.Root} dom DOM of page
      * @param {FetchCookieManager} cookieManager - FetchCookieManager to work with
      * @param {Boolean} traceOperations - Whether to trace operations or not
+     * @param {typedefs.CeiCrawlerOptions} options - Options of the crawler, used to parse the table values
      */
-    static async _getDataPage(dom, cookieManager, traceOperations) {
+    static async _getDataPage(dom, cookieManager, traceOperations, options) {
         while(true) {
             const formDataWallet = CeiUtils.extractFormDataFromDOM(dom, FETCH_FORMS.WALLET_ACCOUNT, {
                 ctl00$ContentPlaceHolder1$ToolkitScriptManager1: 'ctl00$ContentPlaceHolder1$updFiltro|ctl00$ContentPlaceHolder1$btnConsultar',
@@ -300,8 +429,8 @@ class WalletCrawler {
             if (traceOperations)
                 console.log(`Processing wallet data`);
 
-            const stockWallet = this._processStockWallet(walletDOM);
-            const nationalTreasuryWallet = this._processNationalTreasuryWallet(walletDOM);
+            const stockWallet = this._processStockWallet(walletDOM, options);
+            const nationalTreasuryWallet = this._processNationalTreasuryWallet(walletDOM, options);
 
             if (errorMessage.type !== undefined || this._hasLoadedData(walletDOM)) {
                 return {
@@ -318,41 +447,25 @@ class WalletCrawler {
     /**
      * Process the stock wallet to a DTO
      * @param {cheerio.Root} dom DOM table stock history
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, used to parse the table values
      */
-    static _processStockWallet(dom) {
-        const headers = Object.keys(STOCK_WALLET_TABLE_HEADER);
-
-        const data = dom(PAGE.STOCK_WALLET_TABLE_BODY_ROWS)
-            .map((_, tr) => dom('td', tr)
-                .map((_, td) => dom(td).text().trim())
-                .get()
-                .reduce((dict, txt, idx) => {
-                    dict[headers[idx]] = txt;
-                    return dict;
-                }, {})
-            ).get();
-
-        return CeiUtils.parseTableTypes(data, STOCK_WALLET_TABLE_HEADER);
+    static _processStockWallet(dom, options = null) {
+        const data = CeiUtils.extractTableRows(dom, dom(PAGE.STOCK_WALLET_TABLE_BODY_ROWS), STOCK_WALLET_TABLE_LABELS);
+
+        const parsed = CeiUtils.parseTableTypes(data, STOCK_WALLET_TABLE_HEADER, options);
+        return CeiUtils.validateRows(parsed, STOCK_WALLET_TABLE_HEADER, STOCK_WALLET_TABLE_RULES, options);
     }
 
     /**
      * Process the stock wallet to a DTO
      * @param {cheerio.Root} dom DOM table stock history
+     * @param {typedefs.CeiCrawlerOptions} [options] - Options of the crawler, used to parse the table values
      */
-    static _processNationalTreasuryWallet(dom) {
-        const headers = Object.keys(TREASURE_WALLET_TABLE_HEADER);
-
-        const data = dom(PAGE.TREASURE_WALLET_TABLE_BODY_ROWS)
-            .map((_, tr) => dom('td', tr)
-                .map((_, td) => dom(td).text().trim())
-                .get()
-                .reduce((dict, txt, idx) => {
-                    dict[headers[idx]] = txt;
-                    return dict;
-                }, {})
-            ).get();
-
-        return CeiUtils.parseTableTypes(data, TREASURE_WALLET_TABLE_HEADER);
+    static _processNationalTreasuryWallet(dom, options = null) {
+        const data = CeiUtils.extractTableRows(dom, dom(PAGE.TREASURE_WALLET_TABLE_BODY_ROWS), TREASURE_WALLET_TABLE_LABELS);
+
+        const parsed = CeiUtils.parseTableTypes(data, TREASURE_WALLET_TABLE_HEADER, options);
+        return CeiUtils.validateRows(parsed, TREASURE_WALLET_TABLE_HEADER, TREASURE_WALLET_TABLE_RULES, options);
     }
 
     /**
@@ -366,4 +479,12 @@ class WalletCrawler {
 
 }
 
-module.exports = WalletCrawler;
\ No newline at end of file
+module.exports = WalletCrawler;
+module.exports.PAGE = PAGE;
+module.exports.FETCH_FORMS = FETCH_FORMS;
+module.exports.STOCK_WALLET_TABLE_HEADER = STOCK_WALLET_TABLE_HEADER;
+module.exports.STOCK_WALLET_TABLE_LABELS = STOCK_WALLET_TABLE_LABELS;
+module.exports.STOCK_WALLET_TABLE_RULES = STOCK_WALLET_TABLE_RULES;
+module.exports.TREASURE_WALLET_TABLE_HEADER = TREASURE_WALLET_TABLE_HEADER;
+module.exports.TREASURE_WALLET_TABLE_LABELS = TREASURE_WALLET_TABLE_LABELS;
+module.exports.TREASURE_WALLET_TABLE_RULES = TREASURE_WALLET_TABLE_RULES;
@@ -0,0 +1,238 @@
+const zlib = require('zlib');
+
+const DATE_FORMAT_ID = 164;
+
+// Style indexes in the cellXfs of the styles part
+const STYLES = {
+    DEFAULT: 0,
+    HEADER: 1,
+    DATE: 2,
+    INT: 3,
+    FLOAT: 4
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++)
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Writes XLSX workbooks with typed columns, without depending on a spreadsheet library
+ */
+class XlsxWriter {
+
+    /**
+     * Creates a XLSX file with one worksheet for each sheet
+     * @param {{name: String, columns: {name: String, type: String}[], rows: Array[]}[]} sheets - Sheets with the column types (`string`, `int`, `float` or `date`) and the row values
+     * @param {Object} [options] - Options of the file
+     * @param {boolean} [options.brazilianFormat] - Whether dates are displayed as dd/mm/yyyy and numbers with thousands separators
+     * @returns {Buffer} - Content of the XLSX file
+     */
+    static write(sheets, options = {}) {
+        const brazilianFormat = options.brazilianFormat || false;
+
+        const files = [
+            { name: '[Content_Types].xml', content: this._contentTypes(sheets) },
+            { name: '_rels/.rels', content: this._rootRels() },
+            { name: 'xl/workbook.xml', content: this._workbook(sheets) },
+            { name: 'xl/_rels/workbook.xml.rels', content: this._workbookRels(sheets) },
+            { name: 'xl/styles.xml', content: this._styles(brazilianFormat) },
+            ...sheets.map((sheet, idx) => ({ name: `xl/worksheets/sheet${idx + 1}.xml`, content: this._worksheet(sheet) }))
+        ];
+
+        return this._zip(files);
+    }
+
+    static _contentTypes(sheets) {
+        const overrides = sheets.map((_, idx) =>
+            `<Override PartName="/xl/worksheets/sheet${idx + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            overrides +
+            '</Types>';
+    }
+
+    static _rootRels() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    static _workbook(sheets) {
+        const sheetsXml = sheets.map((sheet, idx) =>
+            `<sheet name="${this._escape(sheet.name.substring(0, 31))}" sheetId="${idx + 1}" r:id="rId${idx + 1}"/>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets>${sheetsXml}</sheets>` +
+            '</workbook>';
+    }
+
+    static _workbookRels(sheets) {
+        const sheetRels = sheets.map((_, idx) =>
+            `<Relationship Id="rId${idx + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${idx + 1}.xml"/>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheetRels +
+            `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    static _styles(brazilianFormat) {
+        const dateFormat = brazilianFormat ? 'dd/mm/yyyy' : 'yyyy-mm-dd';
+        // Built-in formats: 0 is General, 3 is #,##0 and 4 is #,##0.00
+        const intFormat = brazilianFormat ? 3 : 0;
+        const floatFormat = brazilianFormat ? 4 : 0;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="1"><numFmt numFmtId="${DATE_FORMAT_ID}" formatCode="${dateFormat}"/></numFmts>` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="5">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            `<xf numFmtId="${DATE_FORMAT_ID}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+            `<xf numFmtId="${intFormat}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+            `<xf numFmtId="${floatFormat}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+            '</cellXfs>' +
+            '</styleSheet>';
+    }
+
+    static _worksheet(sheet) {
+        const header = sheet.columns.map(column => this._cell(column.name, 'string', STYLES.HEADER));
+        const rows = [header, ...sheet.rows.map(row => row.map((value, idx) => this._cell(value, sheet.columns[idx].type)))];
+
+        const rowsXml = rows.map((cells, rowIdx) =>
+            `<row r="${rowIdx + 1}">${cells.map((cell, colIdx) => cell(`${this._columnName(colIdx)}${rowIdx + 1}`)).join('')}</row>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rowsXml}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Returns a function creating the XML of the cell given its reference
+     * @param {any} value - Value of the cell
+     * @param {String} type - Type of the column
+     * @param {Number} [style] - Style index, if not the one of the type
+     * @returns {function(String): String} - Cell XML builder
+     */
+    static _cell(value, type, style = null) {
+        if (value === null || value === undefined || (typeof value === 'number' && isNaN(value)))
+            return ref => `<c r="${ref}"/>`;
+
+        if (type === 'date' && value instanceof Date) {
+            const serial = (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+            return ref => `<c r="${ref}" s="${STYLES.DATE}"><v>${serial}</v></c>`;
+        }
+
+        if ((type === 'int' || type === 'float') && typeof value === 'number') {
+            const numberStyle = type === 'int' ? STYLES.INT : STYLES.FLOAT;
+            return ref => `<c r="${ref}" s="${numberStyle}"><v>${value}</v></c>`;
+        }
+
+        const styleAttr = style !== null ? ` s="${style}"` : '';
+        return ref => `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${this._escape(String(value))}</t></is></c>`;
+    }
+
+    static _columnName(idx) {
+        let name = '';
+        for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26))
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        return name;
+    }
+
+    static _escape(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    static _crc32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of buffer)
+            crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Creates a ZIP archive with the files deflated
+     * @param {{name: String, content: String}[]} files - Files of the archive
+     * @returns {Buffer} - ZIP content
+     */
+    static _zip(files) {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = Buffer.from(file.name, 'utf8');
+            const content = Buffer.from(file.content, 'utf8');
+            const compressed = zlib.deflateRawSync(content);
+            const crc = this._crc32(content);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034B50, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(0x0800, 6); // UTF-8 names
+            local.writeUInt16LE(8, 8); // Deflate
+            local.writeUInt16LE(0, 10);
+            local.writeUInt16LE(0x21, 12); // 01/01/1980
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(content.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014B50, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(0, 12);
+            central.writeUInt16LE(0x21, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(content.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            localParts.push(local, name, compressed);
+            centralParts.push(central, name);
+            offset += local.length + name.length + compressed.length;
+        }
+
+        const centralDirectory = Buffer.concat(centralParts);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054B50, 0);
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, centralDirectory, end]);
+    }
+}
+
+module.exports = XlsxWriter;
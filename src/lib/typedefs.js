@@ -8,6 +8,45 @@
  * @property {boolean} capDates - Prevent crawling with an invalid date in CEI
  * @property {Number} navigationTimeout - Fetch timeout
  * @property {Number} loginTimeout - Login timeout
+ * @property {Number} [concurrency] - Maximum number of institution/account pairs crawled at the same time. Defaults to 1, crawling sequentially
+ * @property {String} [baseUrl] - Base URL of the CEI pages, like a staging mirror, a proxy or a local mock server. When set, Host, Origin and Referer headers derive from it
+ * @property {Object<String, String>} [pages] - Map of CEI page name (e.g. `negociacao-de-ativos.aspx`) to the page that should be requested instead
+ * @property {{fetch: Function}} [transport] - Object with a node-fetch like `fetch` method to perform the requests, like a FixtureTransport
+ * @property {Number} [historyWindowDays] - Maximum number of days of each query done by getFullStockHistory, a positive integer. Defaults to 90
+ * @property {Number} [maxRelogins] - Maximum number of automatic logins done by each method call when the session expires. Defaults to 2
+ * @property {SessionStore} [sessionStore] - Store used to reuse the authenticated session between process runs
+ * @property {String} [moneyFormat] - Format of the monetary values: `number` (default), `cents` for integer cents or `decimal` for exact decimal strings, like `1234.56`
+ * @property {boolean} [strictValidation] - Throw a PARSE_ERROR for invalid values of the CEI tables. When false, the invalid values become null and are listed in the `warnings` of their rows. Defaults to false
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef ValidationWarning
+ * @property {String} field - Field of the row with the invalid value
+ * @property {String} message - Description of the problem
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef TableRules
+ * @property {String[]} [required] - Fields that can not be empty
+ * @property {String[]} [nonNegative] - Numeric fields that can not be negative, like quantities and prices
+ * @property {String[]} [nonFuture] - Date fields that can not be later than today, like trade dates
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef CeiSession
+ * @property {String} username - Username the session belongs to
+ * @property {boolean} isLogged - Whether the session was authenticated
+ * @property {Object} cookies - Serialized cookie jar
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef SessionStore
+ * @property {function(): (CeiSession|String|null|Promise<CeiSession|String|null>)} load - Returns the saved session, if any
+ * @property {function(CeiSession): (void|Promise<void>)} save - Saves the session after each successful login
  * @memberof typdefs
  */
 
@@ -31,7 +70,7 @@
 * @property {String} institution - Name of the institution
 * @property {String} account - The institution's account number
 * @property {StockOperation[]} stockHistory - List of operations for this institution and account
-* @property {SummaryStockOperation[]} summaryStockHistory - List of operations for this institution and account
+* @property {SummaryStockOperation[]} summaryStockHistory - Summary of the operations by stock for this institution and account
 * @memberof typdefs
 */
 
@@ -62,6 +101,21 @@
 * @property {String[]} accounts - Accounts available for the given institution
 */
 
+/**
+ * @typedef InstitutionFilter
+ * @property {String[]} [institutions] - Codes of the institutions to be crawled, as in InstitutionOption value
+ * @property {String[]} [accounts] - Numbers of the accounts to be crawled
+ * @memberof typdefs
+ */
+
+/**
+ * @callback InstitutionFilterCallback
+ * @param {{value: String, label: String}} institution - The institution option
+ * @param {String} account - The account number
+ * @returns {Boolean} - True if the account of the institution should be crawled
+ * @memberof typdefs
+ */
+
 /**
  * @typedef DividendData
  * @property {String} institution - Name of the institution
@@ -91,6 +145,24 @@
 * @property {InstitutionOption[]} institutions - Array of available institutions with its accounts
 */
 
+/**
+ * @typedef CorporateEventsData
+ * @property {String} institution - Name of the institution
+ * @property {String} account - The institution's account number
+ * @property {CorporateEvent[]} events - List of corporate events
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef CorporateEvent
+ * @property {String} code - The code of the stock
+ * @property {String} eventType - Event type, one of `desdobramento`, `grupamento`, `bonificacao` or `outros`
+ * @property {Date} exDate - First date the stock is traded without the event
+ * @property {Number} factor - Shares after the event for each share held, or shares received for each share held for bonificação
+ * @property {Number|null} [value] - Value per share the company attributed to the bonus shares of a bonificação, used as their cost
+ * @memberof typdefs
+ */
+
 /**
 * @typedef AccountWallet
 * @property {String} institution - Name of the institution
@@ -125,6 +197,25 @@
 * @memberof typdefs
 */
 
+/**
+* @typedef AccountWalletSeries
+* @property {String} institution - Name of the institution
+* @property {String} account - The institution's account number
+* @property {WalletSeriesItem[]} series - Totals of the wallet in each date
+* @memberof typdefs
+*/
+
+/**
+* @typedef WalletSeriesItem
+* @property {Date} date - Date of the wallet
+* @property {Number} stockWalletValue - Sum of the total value of the stocks
+* @property {Number} nationalTreasuryInvestedValue - Sum of the invested value of the national treasuries
+* @property {Number} nationalTreasuryGrossValue - Sum of the gross value of the national treasuries
+* @property {Number} nationalTreasuryNetValue - Sum of the net value of the national treasuries
+* @property {Number} totalValue - Stocks value plus the national treasuries gross value
+* @memberof typdefs
+*/
+
 /**
  * @typedef WalletOptions
  * @property {String} minDate - Minimum date which data is available
@@ -172,4 +263,125 @@
  * @property {InstitutionOption[]} institutions - Array of available institutions with its accounts
  */
 
+/**
+ * @typedef StockPosition
+ * @property {String} institution - Name of the institution, null when the accounts are consolidated
+ * @property {String} account - The institution's account number, null when the accounts are consolidated
+ * @property {String} code - Code of the asset, without the F of the fractional market
+ * @property {Number} quantity - Quantity held, negative for short positions
+ * @property {Number} averageCost - Weighted average price of the position
+ * @property {Number} totalCost - Cost of the position
+ * @property {Number} realizedGain - Sum of the gains realized by the asset
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef RealizedGain
+ * @property {String} institution - Name of the institution, null when the accounts are consolidated
+ * @property {String} account - The institution's account number, null when the accounts are consolidated
+ * @property {String} code - Code of the asset, without the F of the fractional market
+ * @property {Date} date - Date of the operation closing the position
+ * @property {String} operation - The operation C (buy) or V (sell). Buys realize gains of short positions
+ * @property {Number} quantity - Quantity closed
+ * @property {Number} price - Price of the operation
+ * @property {Number} averageCost - Average price of the position before the operation
+ * @property {Number} value - Value of the quantity closed at the operation price
+ * @property {Number} cost - Value of the quantity closed at the average price
+ * @property {Number} gain - Realized gain, negative for losses
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef StockAnalyticsResult
+ * @property {StockPosition[]} positions - Position of each asset
+ * @property {RealizedGain[]} realizedGains - Gains realized by each operation, in chronological order
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef IrpfReportOptions
+ * @property {Number} year - Calendar year of the report
+ * @property {Object<String, String>} [institutionCnpjs] - CNPJ of each institution, by its code in CEI (e.g. `{ '386': '00.000.000/0000-00' }`). Institutions without CNPJ are grouped by name
+ * @property {function(String): boolean} [isExemptAsset] - Whether the sales of an asset count for the R$ 20.000,00 exemption, like stocks and unlike FII, ETF and units. Required if there are sales in the year
+ * @property {function(String): boolean} [isRealEstateFund] - Whether the gains of an asset are taxed as real estate funds (FII), apart from the stocks. Required if there are sales in the year
+ * @property {String} [moneyFormat] - The `moneyFormat` of the crawler that returned the data. The monetary values of the report are in the same format
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef IrpfIncome
+ * @property {Number} grossValue - Sum of the gross values
+ * @property {Number} netValue - Sum of the net values
+ * @property {{code: String, stock: String, grossValue: Number, netValue: Number}[]} items - Values by asset
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef IrpfInstitution
+ * @property {String} cnpj - CNPJ of the institution, null if not informed in the options
+ * @property {String} institution - Name of the institution
+ * @property {{account: String, type: String, code: String, name: String, quantity: Number, averageCost: Number, value: Number}[]} assets - Bens e Direitos at 31/12, valued by the average cost. Value is null when the cost is unknown
+ * @property {{dividendo: IrpfIncome, jcp: IrpfIncome, rendimento: IrpfIncome, outros: IrpfIncome}} income - Income paid in the year by type
+ * @property {{account: String, date: Date, code: String, quantity: Number, price: Number, value: Number}[]} sales - Sales of the year
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef IrpfMonthlyResult
+ * @property {Number} month - Month, from 1 to 12
+ * @property {Number} swingTradeSales - Value of the swing-trade sales in the month, including the ones opening short positions
+ * @property {Number} exemptAssetsSales - Value of the swing-trade sales of assets which count for the exemption
+ * @property {Number} swingTradeGain - Swing-trade gain, negative for losses
+ * @property {Number} exemptAssetsGain - Swing-trade gain of assets which count for the exemption
+ * @property {Number} dayTradeSales - Value of the day-trade sales
+ * @property {Number} dayTradeGain - Day-trade gain, negative for losses
+ * @property {boolean} exempt - Whether the sales of exempt assets are up to R$ 20.000,00
+ * @property {Number} taxableSwingTradeGain - Swing-trade gain without the exempt gains
+ * @property {Number} realEstateFundsSales - Value of the swing-trade and day-trade sales of real estate funds (FII), which are not in the other fields
+ * @property {Number} realEstateFundsGain - Gain of real estate funds (FII), taxed at 20% without exemption
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef IrpfReportResult
+ * @property {Number} year - Calendar year of the report
+ * @property {IrpfInstitution[]} institutions - Data of each institution
+ * @property {IrpfMonthlyResult[]} monthlyResults - Results of the sales of all institutions in each month
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef ExportTable
+ * @property {String} name - Name of the table, like `stockWallet`
+ * @property {{name: String, type: String}[]} columns - Columns of the table with their types
+ * @property {Array[]} rows - Values of each row, in the order of the columns
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef ExportOptions
+ * @property {boolean} [brazilianFormat] - Format numbers as `1.234,56` and dates as dd/MM/yyyy, separating CSV fields with `;`
+ * @property {String} [moneyFormat] - The `moneyFormat` option of the crawler that returned the result, used by getTables
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef PageHealth
+ * @property {String} name - Name of the page, like `wallet`
+ * @property {String} url - Page of CEI, like `ConsultarCarteiraAtivos.aspx`
+ * @property {boolean} ok - Whether the page was loaded and no selector or form field is missing
+ * @property {String|null} error - Error loading the page or querying its first account, like a HTTP status other than 200 or the columns of a LAYOUT_CHANGED
+ * @property {{name: String, selector: String}[]} missingSelectors - Selectors of the PAGE definition not found in the page
+ * @property {{form: String, field: String}[]} missingFormFields - Fields of the FETCH_FORMS definition not found in the page
+ * @property {String[]} uncheckedSelectors - Selectors of the query results not checked, as the first account has no data for their tables or no alert was shown
+ * @memberof typdefs
+ */
+
+/**
+ * @typedef HealthCheckReport
+ * @property {boolean} ok - Whether all the pages are ok
+ * @property {PageHealth[]} pages - Report of each page
+ * @memberof typdefs
+ */
+
 exports.unused = {};
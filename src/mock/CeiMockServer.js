@@ -0,0 +1,543 @@
+const http = require('http');
+const crypto = require('crypto');
+const CeiUtils = require('../lib/CeiUtils');
+const mockData = require('./mockData');
+
+const BASE_PATH = '/CEI_Responsivo/';
+
+const COOKIES = {
+    SESSION: 'ASP.NET_SessionId',
+    ACCESS: 'Acesso'
+};
+
+const MESSAGE_TYPES = {
+    INFO: 0,
+    WARNING: 1,
+    ERROR: 2
+};
+
+const MESSAGES = {
+    USER_NOT_FOUND: 'CPF/CNPJ não cadastrado.',
+    INVALID_STATE: 'Não foi possível processar a requisição. Estado da página inválido.',
+    INVALID_INSTITUTION: 'Selecione uma instituição válida.',
+    INVALID_ACCOUNT: 'Selecione uma conta válida.',
+    INVALID_DATE: 'Data informada está fora do período disponível para consulta.',
+    PERIOD_TOO_LONG: 'O período informado é maior que o permitido para consulta.',
+    NO_DATA: 'Não foram encontrados dados para o filtro informado.'
+};
+
+const DATA_PAGES = {
+    'ConsultarCarteiraAtivos.aspx': {
+        title: 'Carteira de Ativos',
+        period: 'wallet',
+        scriptManager: 'ToolkitScriptManager1',
+        panel: 'updFiltro',
+        periodLabels: true,
+        dateInputs: [{ name: 'txtData', value: 'max' }],
+        hiddenInputs: ['ctl00_ContentPlaceHolder1_ToolkitScriptManager1_HiddenField'],
+        render: (account) => renderWallet(account)
+    },
+    'ConsultarProventos.aspx': {
+        title: 'Proventos em Dinheiro',
+        period: 'dividends',
+        scriptManager: 'ToolkitScriptManager1',
+        panel: 'updFiltro',
+        periodLabels: true,
+        dateInputs: [{ name: 'txtData', value: 'max' }],
+        hiddenInputs: ['ctl00_ContentPlaceHolder1_ToolkitScriptManager1_HiddenField'],
+        render: (account) => renderDividends(account)
+    },
+    'negociacao-de-ativos.aspx': {
+        title: 'Negociação de Ativos',
+        period: 'stockHistory',
+        scriptManager: 'ToolkitScriptManager1',
+        panel: 'updFiltro',
+        periodLabels: false,
+        dateInputs: [{ name: 'txtDataDeBolsa', value: 'min' }, { name: 'txtDataAteBolsa', value: 'max' }],
+        hiddenInputs: ['ctl00_ContentPlaceHolder1_ToolkitScriptManager1_HiddenField', 'ctl00$ContentPlaceHolder1$hdnPDF_EXCEL'],
+        render: (account, form) => renderStockHistory(account, form)
+    },
+    'extrato-tesouro-direto.aspx': {
+        title: 'Extrato Tesouro Direto',
+        period: 'treasure',
+        scriptManager: 'smAlgumaCoisa',
+        panel: 'pnlPanel',
+        periodLabels: false,
+        dateInputs: [{ name: 'txtDatePickerFiltro', value: 'max' }],
+        hiddenInputs: [],
+        render: (account) => renderTreasure(account),
+        renderLoading: (account) => renderTreasureTitle(account),
+        renderDetail: (account, row) => renderTreasureDetail(account, row)
+    }
+};
+
+const TREASURE_DETAIL_TARGET = /^ctl00\$ContentPlaceHolder1\$repTabela\$ctl(\d+)\$LinkButton2$/;
+
+/**
+ * Escapes a text to be rendered inside HTML
+ * @param {String} text - Text to be escaped
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Parses a number in pt-BR format, like 1.234,56
+ * @param {String} value - Number as displayed by CEI
+ */
+const parseNumber = (value) => parseFloat(value.replace(/\./g, '').replace(',', '.'));
+
+/**
+ * Formats a number in pt-BR format with two decimal places
+ * @param {Number} value - Number to be formatted
+ */
+const formatNumber = (value) => {
+    const [integer, decimal] = value.toFixed(2).split('.');
+    return `${integer.replace(/\B(?=(\d{3})+(?!\d))/g, '.')},${decimal}`;
+};
+
+const renderRows = (rows) => rows
+    .map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('\n');
+
+const renderTable = (id, headers, rows, footer = null) => [
+    `<table${id ? ` id="${id}"` : ''} class="responsive">`,
+    `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+    `<tbody>\n${renderRows(rows)}\n</tbody>`,
+    footer ? `<tfoot>${renderRows([footer])}</tfoot>` : '',
+    '</table>'
+].join('\n');
+
+const renderWallet = (account) => {
+    if (account.stockWallet.length === 0 && account.nationalTreasuryWallet.length === 0)
+        return null;
+
+    const prefix = 'ctl00_ContentPlaceHolder1_rptAgenteContaMercado_ctl00_rptContaMercado_ctl00';
+    return [
+        `<div id="${prefix}_divTotalCarteira">`,
+        renderTable(`${prefix}_rprCarteira_ctl00_grdCarteira`,
+            ['Empresa', 'Tipo', 'Cód. de Negociação', 'Cod.ISIN', 'Preço (R$)*', 'Qtde.', 'Fator Cotação', 'Valor (R$)'],
+            account.stockWallet),
+        renderTable(`${prefix}_trBodyTesouroDireto`,
+            ['Título', 'Vencimento', 'Valor Investido', 'Valor Bruto Atual', 'Valor Líquido Atual', 'Quantidade', 'Bloqueado'],
+            account.nationalTreasuryWallet),
+        '</div>'
+    ].join('\n');
+};
+
+const renderDividends = (account) => {
+    const headers = ['Ativo', 'Tipo Ativo', 'Cód. Neg.', 'Data pagamento', 'Tipo Evento', 'Quantidade Base', 'Fator', 'Valor Bruto (R$)', 'Valor Líquido (R$)'];
+    const sections = [
+        { title: 'Eventos em Dinheiro Creditado', rows: account.pastEvents },
+        { title: 'Eventos em Dinheiro Provisionado', rows: account.futureEvents }
+    ].filter(section => section.rows.length > 0);
+
+    if (sections.length === 0)
+        return null;
+
+    return sections
+        .map(section => `<div class="section-container">\n<p class="title">${section.title}</p>\n${renderTable(null, headers, section.rows)}\n</div>`)
+        .join('\n');
+};
+
+const renderStockHistory = (account, form) => {
+    const startDate = CeiUtils.getDateFromInput(form.get('ctl00$ContentPlaceHolder1$txtDataDeBolsa'));
+    const endDate = CeiUtils.getDateFromInput(form.get('ctl00$ContentPlaceHolder1$txtDataAteBolsa'));
+
+    const trades = account.stockHistory.filter(trade => {
+        const date = CeiUtils.getDateFromInput(trade[0]);
+        return date >= startDate && date <= endDate;
+    });
+
+    if (trades.length === 0)
+        return null;
+
+    const summary = [...new Set(trades.map(trade => trade[4]))].map(code => {
+        const codeTrades = trades.filter(trade => trade[4] === code);
+        const sum = (operation, mapper) => codeTrades
+            .filter(trade => trade[1] === operation)
+            .reduce((total, trade) => total + mapper(trade), 0);
+
+        const buyAmount = sum('C', trade => parseInt(trade[6].replace(/\./g, '')));
+        const saleAmount = sum('V', trade => parseInt(trade[6].replace(/\./g, '')));
+        const buyTotal = sum('C', trade => parseNumber(trade[8]));
+        const saleTotal = sum('V', trade => parseNumber(trade[8]));
+        const quantityNet = buyAmount - saleAmount;
+
+        return [
+            code,
+            `${codeTrades[0][0]} a ${codeTrades[codeTrades.length - 1][0]}`,
+            String(buyAmount),
+            String(saleAmount),
+            formatNumber(buyAmount > 0 ? buyTotal / buyAmount : 0),
+            formatNumber(saleAmount > 0 ? saleTotal / saleAmount : 0),
+            String(Math.abs(quantityNet)),
+            quantityNet > 0 ? 'COMPRADA' : quantityNet < 0 ? 'VENDIDA' : 'ZERADA'
+        ];
+    });
+
+    const prefix = 'ctl00_ContentPlaceHolder1_rptAgenteBolsa_ctl00_rptContaBolsa_ctl00';
+    return [
+        `<div id="${prefix}_pnAtivosNegociados">`,
+        renderTable(null,
+            ['Data do Negócio', 'Compra/Venda', 'Mercado', 'Prazo/Vencimento', 'Código Negociação', 'Especificação do Ativo', 'Quantidade', 'Preço (R$)', 'Valor Total(R$)', 'Fator de Cotação'],
+            trades),
+        '</div>',
+        `<div id="${prefix}_pnResumoNegocios">`,
+        renderTable(null,
+            ['Código Negociação', 'Período', 'Qtde. Compra', 'Qtde. Venda', 'Preço Médio Compra', 'Preço Médio Venda', 'Quantidade Líquida', 'Posição'],
+            summary),
+        '</div>'
+    ].join('\n');
+};
+
+const renderTreasureTitle = (account) => account.treasures.length > 0
+    ? `<h4><span id="ctl00_ContentPlaceHolder1_lblTituloAgente">Conta ${escapeHtml(account.account)}</span></h4>`
+    : '<h4><span id="ctl00_ContentPlaceHolder1_lblTituloAgente"></span></h4>';
+
+const renderTreasure = (account) => {
+    if (account.treasures.length === 0)
+        return renderTreasureTitle(account);
+
+    const rows = account.treasures.map((treasure, idx) => {
+        const key = String(idx + 1).padStart(2, '0');
+        return [...treasure.row, `ctl00$ContentPlaceHolder1$repTabela$ctl${key}$LinkButton2`];
+    });
+
+    const total = (column) => formatNumber(account.treasures.reduce((sum, treasure) => sum + parseNumber(treasure.row[column]), 0));
+
+    return [
+        renderTreasureTitle(account),
+        renderTable(null,
+            ['Título', 'Vencimento', 'Valor Investido', 'Valor Bruto Atual', 'Valor Líquido Atual', 'Quant. Total', 'Quant. Bloqueada', ''],
+            rows,
+            ['Total', '', total(2), total(3), total(4), '', '', ''])
+    ].join('\n');
+};
+
+const renderTreasureDetail = (account, row) => {
+    const treasure = account.treasures[row];
+    if (!treasure)
+        return null;
+
+    return [
+        '<div class="reveal-modal open">',
+        `<h4>${escapeHtml(treasure.row[0])}</h4>`,
+        renderTable(null,
+            ['Data Aplicação', 'Quantidade', 'Preço Título (R$)', 'Valor Investido (R$)', 'Rentabilidade Contratada', 'Rentabilidade Bruta Anualizada', 'Rentabilidade Bruta (%)', 'Valor Bruto Atual (R$)', 'Dias Corridos', 'Alíquota IR (%)', 'Valor IR (R$)', 'Valor IOF (R$)', 'Taxa B3 (R$)', 'Taxa Agente (R$)', 'Valor Líquido Atual (R$)'],
+            treasure.transactions,
+            ['Total', '', '', '', '', '', '', '', '', '', '', '', '', '', '']),
+        '</div>'
+    ].join('\n');
+};
+
+/**
+ * Local HTTP server that imitates the CEI_Responsivo pages and the ASP.NET UpdatePanel protocol used by them
+ */
+class CeiMockServer {
+
+    /** @type {http.Server} */
+    _server = null;
+
+    /** @type {Map<String, Object>} */
+    _sessions = new Map();
+
+    /**
+     * @param {Object} [data] - Users, institutions and accounts served by the mock. Defaults to `mockData`
+     * @param {Object} [options] - Options for the mock server
+     * @param {Number} [options.pendingResponses] - How many times a query answers without the table before the data is sent
+     */
+    constructor(data = mockData, options = {}) {
+        this.data = data;
+        this.pendingResponses = options.pendingResponses === undefined ? 1 : options.pendingResponses;
+    }
+
+    /** @type {String} - Base URL to be used in the CeiCrawler `baseUrl` option */
+    get baseUrl() {
+        const { port } = this._server.address();
+        return `http://127.0.0.1:${port}${BASE_PATH}`;
+    }
+
+    /**
+     * Starts listening
+     * @param {Number} [port] - Port to listen, a random one if none passed
+     * @returns {Promise<String>} - The base URL of the server
+     */
+    start(port = 0) {
+        this._server = http.createServer((req, res) => this._handle(req, res));
+        return new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(port, '127.0.0.1', () => resolve(this.baseUrl));
+        });
+    }
+
+    /**
+     * Stops listening
+     * @returns {Promise}
+     */
+    stop() {
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+
+    /**
+     * Expires every session, forcing the clients to login again
+     */
+    expireSessions() {
+        this._sessions.clear();
+    }
+
+    async _handle(req, res) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const form = new URLSearchParams(Buffer.concat(chunks).toString());
+
+        const cookies = (req.headers.cookie || '').split(';')
+            .map(cookie => cookie.trim().split('='))
+            .reduce((dict, [name, value]) => ({ ...dict, [name]: value }), {});
+
+        const setCookies = [];
+        let session = this._sessions.get(cookies[COOKIES.SESSION]);
+        if (!session) {
+            const sessionId = crypto.randomBytes(12).toString('hex');
+            session = { user: null, viewStates: new Set(), validations: new Set(), pending: new Map() };
+            this._sessions.set(sessionId, session);
+            setCookies.push(`${COOKIES.SESSION}=${sessionId}; path=/; HttpOnly`);
+        }
+
+        const { pathname } = new URL(req.url, 'http://127.0.0.1');
+        const page = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : null;
+
+        const reply = (status, body, headers = {}) => {
+            res.writeHead(status, {
+                'Content-Type': 'text/html; charset=utf-8',
+                'Set-Cookie': [...setCookies, ...(headers['Set-Cookie'] || [])],
+                ...Object.keys(headers).filter(h => h !== 'Set-Cookie').reduce((dict, h) => ({ ...dict, [h]: headers[h] }), {})
+            });
+            res.end(body);
+        };
+
+        if (page === 'login.aspx') {
+            if (req.method === 'GET')
+                return reply(200, this._renderLoginPage(session));
+            return this._handleLogin(session, form, reply);
+        }
+
+        const pageConfig = DATA_PAGES[page];
+        if (!pageConfig)
+            return reply(404, 'Not Found');
+
+        if (!session.user)
+            return reply(302, '', { 'Location': `${BASE_PATH}login.aspx` });
+
+        if (req.method === 'GET')
+            return reply(200, this._renderDataPage(session, page, pageConfig));
+
+        return reply(200, this._handlePostBack(session, page, pageConfig, form));
+    }
+
+    _handleLogin(session, form, reply) {
+        if (!this._isValidState(session, form))
+            return reply(200, this._renderDelta(session, 'UpdatePanel1', '', { type: MESSAGE_TYPES.ERROR, message: MESSAGES.INVALID_STATE }));
+
+        const user = this.data.users.find(u => u.username === form.get('ctl00$ContentPlaceHolder1$txtLogin'));
+
+        if (!user)
+            return reply(200, this._renderDelta(session, 'UpdatePanel1', '', { type: MESSAGE_TYPES.ERROR, message: MESSAGES.USER_NOT_FOUND }));
+
+        if (user.password !== form.get('ctl00$ContentPlaceHolder1$txtSenha'))
+            return reply(200, this._renderDelta(session, 'UpdatePanel1', ''), { 'Set-Cookie': [`${COOKIES.ACCESS}=1; path=/`] });
+
+        session.user = user;
+        return reply(200, this._renderDelta(session, 'UpdatePanel1', '<span>Redirecionando...</span>'), { 'Set-Cookie': [`${COOKIES.ACCESS}=0; path=/`] });
+    }
+
+    _handlePostBack(session, page, pageConfig, form) {
+        const error = (message) => this._renderDelta(session, pageConfig.panel, '', { type: MESSAGE_TYPES.ERROR, message });
+
+        if (!this._isValidState(session, form))
+            return error(MESSAGES.INVALID_STATE);
+
+        const institution = session.user.institutions.find(i => i.value === form.get('ctl00$ContentPlaceHolder1$ddlAgentes'));
+        if (!institution)
+            return error(MESSAGES.INVALID_INSTITUTION);
+
+        // Changing the institution only reloads the filter with its accounts
+        const detailTarget = (form.get('__EVENTTARGET') || '').match(TREASURE_DETAIL_TARGET);
+        if (!form.has('ctl00$ContentPlaceHolder1$btnConsultar') && !detailTarget)
+            return this._renderDelta(session, pageConfig.panel, this._renderFilter(session, pageConfig, institution, form));
+
+        const account = institution.accounts.find(a => a.account === form.get('ctl00$ContentPlaceHolder1$ddlContas'));
+        if (!account)
+            return error(MESSAGES.INVALID_ACCOUNT);
+
+        if (!form.has('ctl00$ContentPlaceHolder1$btnConsultar')) {
+            const detail = pageConfig.renderDetail(account, parseInt(detailTarget[1]) - 1);
+            return detail === null
+                ? error(MESSAGES.INVALID_STATE)
+                : this._renderDelta(session, pageConfig.panel, detail);
+        }
+
+        const period = this.data.periods[pageConfig.period];
+        const minDate = CeiUtils.getDateFromInput(period.min);
+        const maxDate = CeiUtils.getDateFromInput(period.max);
+        const invalidDate = pageConfig.dateInputs
+            .map(input => form.get(`ctl00$ContentPlaceHolder1$${input.name}`))
+            .some(value => {
+                const date = value ? CeiUtils.getDateFromInput(value) : null;
+                return !date || isNaN(date) || date < minDate || date > maxDate;
+            });
+
+        if (invalidDate)
+            return error(MESSAGES.INVALID_DATE);
+
+        // Pages with a start and an end date may limit the length of the period, in days
+        const [startValue, endValue] = pageConfig.dateInputs.map(input => form.get(`ctl00$ContentPlaceHolder1$${input.name}`));
+        if (period.maxDays && endValue !== undefined
+            && (CeiUtils.getDateFromInput(endValue) - CeiUtils.getDateFromInput(startValue)) / 86400000 + 1 > period.maxDays)
+            return error(MESSAGES.PERIOD_TOO_LONG);
+
+        // CEI usually answers the first queries without the table, so the client has to submit again
+        const pendingKey = `${page}|${institution.value}|${account.account}`;
+        const pending = session.pending.get(pendingKey) || 0;
+        if (pending < this.pendingResponses) {
+            session.pending.set(pendingKey, pending + 1);
+            return this._renderDelta(session, pageConfig.panel, pageConfig.renderLoading ? pageConfig.renderLoading(account) : '');
+        }
+
+        session.pending.delete(pendingKey);
+
+        const content = pageConfig.render(account, form);
+        return content === null
+            ? this._renderDelta(session, pageConfig.panel, '', { type: MESSAGE_TYPES.WARNING, message: MESSAGES.NO_DATA })
+            : this._renderDelta(session, pageConfig.panel, content);
+    }
+
+    /**
+     * Checks whether the __VIEWSTATE and __EVENTVALIDATION posted were issued for this session
+     */
+    _isValidState(session, form) {
+        return session.viewStates.has(form.get('__VIEWSTATE')) && session.validations.has(form.get('__EVENTVALIDATION'));
+    }
+
+    _issueState(session) {
+        const viewState = crypto.randomBytes(24).toString('base64');
+        const validation = crypto.randomBytes(18).toString('base64');
+        session.viewStates.add(viewState);
+        session.validations.add(validation);
+        return { viewState, validation };
+    }
+
+    _renderHiddenInputs(session, names) {
+        const { viewState, validation } = this._issueState(session);
+        const values = {
+            __EVENTTARGET: '',
+            __EVENTARGUMENT: '',
+            __LASTFOCUS: '',
+            __VIEWSTATE: viewState,
+            __VIEWSTATEGENERATOR: 'A3F2D7C1',
+            __EVENTVALIDATION: validation
+        };
+
+        return [...names, ...Object.keys(values)]
+            .map(name => `<input type="hidden" name="${name}" id="${name.replace(/\$/g, '_')}" value="${escapeHtml(values[name] || '')}" />`)
+            .join('\n');
+    }
+
+    _renderLoginPage(session) {
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head><title>CEI - Canal Eletrônico do Investidor</title></head>',
+            '<body>',
+            '<form method="post" action="./login.aspx" id="aspnetForm">',
+            this._renderHiddenInputs(session, []),
+            '<div id="ctl00_ContentPlaceHolder1_UpdatePanel1">',
+            '<input name="ctl00$ContentPlaceHolder1$txtLogin" type="text" id="ctl00_ContentPlaceHolder1_txtLogin" />',
+            '<input name="ctl00$ContentPlaceHolder1$txtSenha" type="password" id="ctl00_ContentPlaceHolder1_txtSenha" />',
+            '<input type="submit" name="ctl00$ContentPlaceHolder1$btnLogar" value="ENTRAR" id="ctl00_ContentPlaceHolder1_btnLogar" />',
+            '</div>',
+            '</form>',
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    _renderDataPage(session, page, pageConfig) {
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            `<head><title>CEI - ${pageConfig.title}</title></head>`,
+            '<body>',
+            `<form method="post" action="./${page}" id="aspnetForm">`,
+            this._renderHiddenInputs(session, pageConfig.hiddenInputs),
+            `<div id="ctl00_ContentPlaceHolder1_${pageConfig.panel}">`,
+            this._renderFilter(session, pageConfig, null, null),
+            '<input type="submit" name="ctl00$ContentPlaceHolder1$btnConsultar" value="Consultar" id="ctl00_ContentPlaceHolder1_btnConsultar" />',
+            '</div>',
+            '</form>',
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    _renderFilter(session, pageConfig, institution, form) {
+        const period = this.data.periods[pageConfig.period];
+        const option = (value, label, selected) => `<option${selected ? ' selected="selected"' : ''} value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+
+        return [
+            pageConfig.periodLabels
+                ? `<p>Período disponível: <span id="ctl00_ContentPlaceHolder1_lblPeriodoInicial">${period.min}</span> a <span id="ctl00_ContentPlaceHolder1_lblPeriodoFinal">${period.max}</span></p>`
+                : '',
+            '<select name="ctl00$ContentPlaceHolder1$ddlAgentes" id="ctl00_ContentPlaceHolder1_ddlAgentes">',
+            option('-1', 'Selecione', !institution),
+            ...session.user.institutions.map(i => option(i.value, i.label, institution === i)),
+            '</select>',
+            '<select name="ctl00$ContentPlaceHolder1$ddlContas" id="ctl00_ContentPlaceHolder1_ddlContas">',
+            option('0', 'Selecione', true),
+            ...(institution ? institution.accounts.map(a => option(a.account, a.account, false)) : []),
+            '</select>',
+            ...pageConfig.dateInputs.map(input => {
+                const name = `ctl00$ContentPlaceHolder1$${input.name}`;
+                const value = (form && form.get(name)) || period[input.value];
+                return `<input name="${name}" type="text" value="${value}" id="ctl00_ContentPlaceHolder1_${input.name}" />`;
+            })
+        ].join('\n');
+    }
+
+    /**
+     * Renders a response in the ASP.NET UpdatePanel delta format: length|type|id|content|
+     */
+    _renderDelta(session, panel, content, message = null) {
+        const { viewState, validation } = this._issueState(session);
+        const field = (type, id, value) => `${value.length}|${type}|${id}|${value}|`;
+
+        const panelContent = `\n${content}\n`;
+        const lastLine = [
+            field('hiddenField', '__EVENTTARGET', ''),
+            field('hiddenField', '__EVENTARGUMENT', ''),
+            field('hiddenField', '__LASTFOCUS', ''),
+            field('hiddenField', '__VIEWSTATE', viewState),
+            field('hiddenField', '__VIEWSTATEGENERATOR', 'A3F2D7C1'),
+            field('hiddenField', '__EVENTVALIDATION', validation),
+            message
+                ? field('scriptStartupBlock', 'ScriptContentNoTags', `CEIWeb.IncluirMensagem(${message.type}, '${message.message}');`)
+                : ''
+        ].join('');
+
+        return `1|#||4|${field('updatePanel', `ctl00_ContentPlaceHolder1_${panel}`, panelContent)}${lastLine}`;
+    }
+}
+
+/* istanbul ignore next */
+if (require.main === module) {
+    const server = new CeiMockServer();
+    server.start(process.env.PORT || 5000).then(baseUrl => {
+        const user = server.data.users[0];
+        console.log(`CEI mock server listening at ${baseUrl}`);
+        console.log(`Login with username ${user.username} and password ${user.password}`);
+    });
+}
+
+module.exports = CeiMockServer;
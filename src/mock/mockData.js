@@ -0,0 +1,71 @@
+/**
+ * Default data served by the CeiMockServer. Table rows are kept as the cells are displayed by CEI.
+ */
+module.exports = {
+    periods: {
+        wallet: { min: '02/06/2020', max: '31/07/2020' },
+        dividends: { min: '27/07/2020', max: '31/07/2020' },
+        stockHistory: { min: '08/02/2019', max: '31/07/2020' },
+        treasure: { min: '01/01/2019', max: '30/07/2020' }
+    },
+    users: [
+        {
+            username: '12345678900',
+            password: 'password',
+            institutions: [
+                {
+                    value: '386',
+                    label: '386 - RICO INVESTIMENTOS - GRUPO XP',
+                    accounts: [
+                        {
+                            account: '12345',
+                            stockWallet: [
+                                ['BANCO INTER', 'PN N2', 'BIDI4', 'BRBIDIACNPR0', '11,43', '100', '1', '1.143,00'],
+                                ['CENTAURO', 'ON NM', 'CNTO3', 'BRCNTOACNOR5', '29,00', '100', '1', '2.900,00']
+                            ],
+                            nationalTreasuryWallet: [
+                                ['Tesouro IPCA+ 2024', '15/08/2024', '1.000,00', '1.500,00', '1.400,00', '0,25', '0,00']
+                            ],
+                            pastEvents: [
+                                ['ITAUSA', 'PN N1', 'ITSA4', '01/07/2020', 'DIVIDENDO', '300', '1', '6,00', '6,00'],
+                                ['FII CSHG LOG', 'CI', 'HGLG11', '14/07/2020', 'RENDIMENTO', '100', '1', '78,00', '78,00']
+                            ],
+                            futureEvents: [
+                                ['BANCO INTER', 'PN N2', 'BIDI4', '20/08/2020', 'JUROS SOBRE CAPITAL PRÓPRIO', '200', '1', '7,88', '5,80'],
+                                ['CIA HERING', 'ON NM', 'HGTX3', '01/01/0001', 'JUROS SOBRE CAPITAL PRÓPRIO', '100', '1', '21,96', '18,67']
+                            ],
+                            stockHistory: [
+                                ['12/06/2019', 'C', 'Mercado a Vista', '', 'BTOW3', 'B2W DIGITAL ON NM', '200', '32,20', '6.440,00', '1'],
+                                ['14/06/2019', 'C', 'Mercado Fracionário', '', 'ITSA4F', 'ITAUSA PN N1', '50', '13,10', '655,00', '1'],
+                                ['03/07/2019', 'V', 'Mercado a Vista', '', 'BTOW3', 'B2W DIGITAL ON NM', '100', '40,50', '4.050,00', '1']
+                            ],
+                            treasures: []
+                        }
+                    ]
+                },
+                {
+                    value: '3',
+                    label: '3 - XP INVESTIMENTOS CCTVM S/A',
+                    accounts: [
+                        {
+                            account: '123456',
+                            stockWallet: [],
+                            nationalTreasuryWallet: [],
+                            pastEvents: [],
+                            futureEvents: [],
+                            stockHistory: [],
+                            treasures: [
+                                {
+                                    row: ['Tesouro IPCA+ 2045', '15/05/2045', '12,34', '13,43', '10,12', '0,01', '0,00'],
+                                    transactions: [
+                                        ['27/11/2019', '0,01', '1.234,56', '12,34', 'IPCA + 4,05%', 'IPCA + 8,89%', '8,83', '13,43', '246', '22,5', '0,25', '0,00', '0,00', '0,00', '13,18']
+                                    ]
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ]
+        }
+    ]
+};
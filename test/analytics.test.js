@@ -0,0 +1,123 @@
+const test = require('ava')
+const { StockAnalytics } = require('../src/app');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+
+const operation = (date, op, code, quantity, price) => ({
+    date, operation: op, market: 'Mercado a Vista', expiration: '', code, name: '', quantity, price, totalValue: quantity * price, quotationFactor: 1
+});
+
+const STOCK_HISTORY = [
+    {
+        institution: '386 - RICO INVESTIMENTOS - GRUPO XP',
+        account: '12345',
+        stockHistory: [
+            operation(new Date(2020, 0, 10), 'C', 'ITSA4', 100, 10),
+            operation(new Date(2020, 1, 10), 'V', 'ITSA4', 50, 14),
+            operation(new Date(2020, 2, 10), 'V', 'BTOW3', 10, 50),
+            operation(new Date(2020, 3, 10), 'C', 'BTOW3', 10, 40)
+        ]
+    },
+    {
+        institution: '3 - XP INVESTIMENTOS CCTVM S/A',
+        account: '123456',
+        stockHistory: [
+            operation(new Date(2020, 0, 20), 'C', 'ITSA4F', 50, 13)
+        ]
+    }
+];
+
+test('normalize-code', t => {
+    t.is(StockAnalytics.normalizeCode('ITSA4F'), 'ITSA4');
+    t.is(StockAnalytics.normalizeCode('HGLG11F'), 'HGLG11');
+    t.is(StockAnalytics.normalizeCode('BTOW3'), 'BTOW3');
+    t.is(StockAnalytics.normalizeCode('PETRF250'), 'PETRF250');
+});
+
+test('analyze-consolidated', t => {
+    const { positions, realizedGains } = StockAnalytics.analyze(STOCK_HISTORY);
+
+    const itsa = positions.find(p => p.code === 'ITSA4');
+    t.is(itsa.quantity, 100);
+    t.is(itsa.averageCost, 11);
+    t.is(itsa.totalCost, 1100);
+    t.is(itsa.realizedGain, 150);
+
+    const btow = positions.find(p => p.code === 'BTOW3');
+    t.is(btow.quantity, 0);
+    t.is(btow.realizedGain, 100);
+
+    t.deepEqual(realizedGains.map(g => [g.code, g.operation, g.quantity, g.averageCost, g.gain]), [
+        ['ITSA4', 'V', 50, 11, 150],
+        ['BTOW3', 'C', 10, 50, 100]
+    ]);
+});
+
+test('analyze-by-account', t => {
+    const { positions } = StockAnalytics.analyze(STOCK_HISTORY, { groupByAccount: true });
+
+    const itsa = positions.filter(p => p.code === 'ITSA4');
+    t.deepEqual(itsa.map(p => [p.account, p.quantity, p.averageCost]), [['12345', 50, 10], ['123456', 50, 13]]);
+});
+
+test('analyze-corporate-events', t => {
+    const event = (eventType, code, exDate, factor) => ({ code, eventType, exDate, factor });
+    const split = event('desdobramento', 'ITSA4', new Date(2020, 0, 15), 2);
+    const corporateEvents = [
+        { institution: '386 - RICO INVESTIMENTOS - GRUPO XP', account: '12345', events: [split] },
+        { institution: '3 - XP INVESTIMENTOS CCTVM S/A', account: '123456', events: [split, event('bonificacao', 'ITSA4', new Date(2020, 2, 1), 0.1)] }
+    ];
+
+    const consolidated = StockAnalytics.analyze(STOCK_HISTORY, { corporateEvents });
+    const itsa = consolidated.positions.find(p => p.code === 'ITSA4');
+    t.is(itsa.quantity, 220);
+    t.is(itsa.totalCost, 1320);
+    t.is(itsa.realizedGain, 370);
+
+    const { positions } = StockAnalytics.analyze(STOCK_HISTORY, { groupByAccount: true, corporateEvents });
+    t.deepEqual(positions.filter(p => p.code === 'ITSA4').map(p => [p.account, p.quantity, p.totalCost]), [['12345', 150, 750], ['123456', 55, 650]]);
+});
+
+test('analyze-money-format', t => {
+    const withFormat = convert => STOCK_HISTORY.map(item => ({
+        ...item,
+        stockHistory: item.stockHistory.map(op => ({ ...op, price: convert(op.price), totalValue: convert(op.totalValue) }))
+    }));
+
+    const decimal = StockAnalytics.analyze(withFormat(value => value.toFixed(2)), { moneyFormat: 'decimal' });
+    const itsa = decimal.positions.find(p => p.code === 'ITSA4');
+    t.deepEqual([itsa.averageCost, itsa.totalCost, itsa.realizedGain], ['11', '1100.00', '150.00']);
+    t.deepEqual(decimal.realizedGains.map(g => [g.code, g.value, g.cost, g.gain]), [['ITSA4', '700.00', '550.00', '150.00'], ['BTOW3', '400.00', '500.00', '100.00']]);
+
+    const cents = StockAnalytics.analyze(withFormat(value => Math.round(value * 100)), { moneyFormat: 'cents' });
+    const btow = cents.positions.find(p => p.code === 'BTOW3');
+    t.deepEqual([btow.quantity, btow.realizedGain], [0, 10000]);
+    t.deepEqual(cents.realizedGains.map(g => [g.code, g.price, g.averageCost, g.gain]), [['ITSA4', 1400, 1100, 15000], ['BTOW3', 4000, 5000, 10000]]);
+
+    const withoutTotal = [{ ...STOCK_HISTORY[1], stockHistory: [{ ...STOCK_HISTORY[1].stockHistory[0], price: '13.10', totalValue: null }] }];
+    t.is(StockAnalytics.analyze(withoutTotal, { moneyFormat: 'decimal' }).positions[0].totalCost, '655.00');
+});
+
+test('analyze-bonus-cost', t => {
+    const history = [{ institution: '386 - RICO INVESTIMENTOS - GRUPO XP', account: '12345', stockHistory: [operation(new Date(2020, 0, 10), 'C', 'ITSA4', 100, 10)] }];
+    const bonus = { code: 'ITSA4', eventType: 'bonificacao', exDate: new Date(2020, 2, 1), factor: 0.1, value: 8.5 };
+    const corporateEvents = [{ institution: '386 - RICO INVESTIMENTOS - GRUPO XP', account: '12345', events: [bonus] }];
+
+    const [itsa] = StockAnalytics.analyze(history, { corporateEvents }).positions;
+    t.deepEqual([itsa.quantity, itsa.totalCost], [110, 1085]);
+    t.is(itsa.averageCost, 1085 / 110);
+
+    const decimal = StockAnalytics.analyze(
+        [{ ...history[0], stockHistory: [{ ...history[0].stockHistory[0], price: '10.00', totalValue: '1000.00' }] }],
+        { corporateEvents: [{ ...corporateEvents[0], events: [{ ...bonus, value: '8.50' }] }], moneyFormat: 'decimal' }
+    );
+    t.is(decimal.positions[0].totalCost, '1085.00');
+});
+
+test('analyze-warnings', t => {
+    const invalid = { ...operation(new Date(2020, 4, 10), 'V', 'ITSA4', 10, null), totalValue: null, warnings: [{ field: 'price', message: 'valor inválido' }] };
+    const stockHistory = [{ ...STOCK_HISTORY[0], stockHistory: [...STOCK_HISTORY[0].stockHistory, invalid] }];
+
+    const error = t.throws(() => StockAnalytics.analyze(stockHistory));
+    t.is(error.type, CeiErrorTypes.PARSE_ERROR);
+    t.regex(error.message, /Conta 12345, stockHistory, linha 5/);
+});
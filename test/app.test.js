@@ -31,6 +31,7 @@ test.serial('stock-history', async t => {
     for (const r of result) {
         if (r.stockHistory.length > 0) {
             hasAnyStock = true;
+            t.true(r.summaryStockHistory.length > 0);
             break;
         }
     }
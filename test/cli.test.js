@@ -0,0 +1,75 @@
+const test = require('ava')
+const CeiCli = require('../src/cli/CeiCli');
+const { EXIT_CODES } = require('../src/cli/CeiCli');
+const CeiMockServer = require('../src/mock/CeiMockServer');
+
+const createStream = () => {
+    const stream = { data: '', write: chunk => { stream.data += chunk; } };
+    return stream;
+};
+
+const runCli = async (t, argv, env = {}) => {
+    const stdout = createStream();
+    const stderr = createStream();
+    const exitCode = await CeiCli.run([...argv, '--base-url', t.context.baseUrl], {
+        env: { CEI_USERNAME: '12345678900', CEI_PASSWORD: 'password', ...env },
+        stdout,
+        stderr,
+        prompt: async question => { throw new Error(`Unexpected prompt: ${question}`); }
+    });
+    return { exitCode, stdout: stdout.data, stderr: stderr.data };
+};
+
+test.before(async t => {
+    t.context.server = new CeiMockServer(undefined, { pendingResponses: 0 });
+    t.context.baseUrl = await t.context.server.start();
+});
+
+test.after.always(async t => {
+    await t.context.server.stop();
+});
+
+test('cli-wallet-json', async t => {
+    const { exitCode, stdout } = await runCli(t, ['wallet', '--institution', '386']);
+    t.is(exitCode, EXIT_CODES.SUCCESS);
+    const result = JSON.parse(stdout);
+    t.is(result.length, 1);
+    t.is(result[0].stockWallet[0].code, 'BIDI4');
+});
+
+test('cli-history-csv', async t => {
+    const { exitCode, stdout } = await runCli(t, ['history', '--start', '01/06/2019', '--end', '30/06/2019', '--format', 'csv']);
+    t.is(exitCode, EXIT_CODES.SUCCESS);
+    const lines = stdout.trim().split('\n');
+    t.is(lines[0], 'institution,account,date,operation,market,expiration,code,name,quantity,price,totalValue,quotationFactor');
+    t.is(lines[1], '386 - RICO INVESTIMENTOS - GRUPO XP,12345,2019-06-12,C,Mercado a Vista,,BTOW3,B2W DIGITAL ON NM,200,32.2,6440,1');
+});
+
+test('cli-treasure-transactions', async t => {
+    const { exitCode, stdout } = await runCli(t, ['treasure', '--format', 'csv', '--table', 'transactions', '--brazilian-format']);
+    t.is(exitCode, EXIT_CODES.SUCCESS);
+    t.true(stdout.split('\n')[1].startsWith('3 - XP INVESTIMENTOS CCTVM S/A;123456;Tesouro IPCA+ 2045;27/11/2019;0,01;1.234,56;'));
+});
+
+test('cli-options-csv', async t => {
+    const { exitCode, stdout } = await runCli(t, ['options', 'wallet', '--format=csv']);
+    t.is(exitCode, EXIT_CODES.SUCCESS);
+    t.is(stdout, 'minDate,maxDate,institution,label,account\n02/06/2020,31/07/2020,386,386 - RICO INVESTIMENTOS - GRUPO XP,12345\n02/06/2020,31/07/2020,3,3 - XP INVESTIMENTOS CCTVM S/A,123456\n');
+});
+
+test('cli-invalid-arguments', async t => {
+    t.is((await runCli(t, ['unknown'])).exitCode, EXIT_CODES.INVALID_ARGUMENTS);
+    t.is((await runCli(t, ['wallet', '--date', '31/02/2020'])).exitCode, EXIT_CODES.INVALID_ARGUMENTS);
+    t.is((await runCli(t, ['history', '--date', '01/02/2020'])).exitCode, EXIT_CODES.INVALID_ARGUMENTS);
+    t.is((await runCli(t, ['wallet', '--format', 'xml'])).exitCode, EXIT_CODES.INVALID_ARGUMENTS);
+    t.is((await runCli(t, ['wallet', '--format', 'csv', '--table', 'unknown'])).exitCode, EXIT_CODES.INVALID_ARGUMENTS);
+});
+
+test('cli-error-codes', async t => {
+    const wrongPassword = await runCli(t, ['wallet'], { CEI_PASSWORD: 'wrong' });
+    t.is(wrongPassword.exitCode, EXIT_CODES.WRONG_PASSWORD);
+    t.regex(wrongPassword.stderr, /^WRONG_PASSWORD/);
+
+    const invalidDate = await runCli(t, ['dividends', '--date', '01/01/2000']);
+    t.is(invalidDate.exitCode, EXIT_CODES.SUBMIT_ERROR);
+});
@@ -0,0 +1,91 @@
+const test = require('ava')
+const zlib = require('zlib');
+const { ResultExporter } = require('../src/app');
+const { RESULT_TYPES } = require('../src/lib/ResultExporter');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+
+const TREASURE_RESULT = [
+    {
+        institution: '3 - XP INVESTIMENTOS CCTVM S/A',
+        account: '123456',
+        treasures: [
+            {
+                code: 'Tesouro IPCA+ 2045',
+                expirationDate: new Date(2045, 4, 15),
+                investedValue: 1234.5,
+                grossValue: 1343,
+                netValue: 1012,
+                quantity: 0.01,
+                blocked: 0,
+                transactions: [
+                    { tradeDate: new Date(2019, 10, 27), quantity: 0.01, price: 1234.56, notional: 12.34, profitability: 'IPCA + 4,05%' }
+                ]
+            }
+        ]
+    }
+];
+
+// Reads the files of a ZIP archive through its local headers
+const unzip = buffer => {
+    const files = {};
+    for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034B50;) {
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const dataStart = offset + 30 + nameLength;
+        files[name] = zlib.inflateRawSync(buffer.slice(dataStart, dataStart + compressedSize)).toString('utf8');
+        offset = dataStart + compressedSize;
+    }
+    return files;
+};
+
+test('exporter-tables', t => {
+    const [treasures, transactions] = ResultExporter.getTables(RESULT_TYPES.TREASURE, TREASURE_RESULT);
+    t.deepEqual(treasures.columns.map(c => c.name), ['institution', 'account', 'code', 'expirationDate', 'investedValue', 'grossValue', 'netValue', 'quantity', 'blocked']);
+    t.is(transactions.name, 'transactions');
+    t.deepEqual(transactions.columns.slice(0, 4).map(c => c.name), ['institution', 'account', 'code', 'tradeDate']);
+    t.deepEqual(transactions.rows[0].slice(0, 5), ['3 - XP INVESTIMENTOS CCTVM S/A', '123456', 'Tesouro IPCA+ 2045', new Date(2019, 10, 27), 0.01]);
+    t.is(transactions.rows[0].length, transactions.columns.length);
+
+    const error = t.throws(() => ResultExporter.getTables('unknown', []));
+    t.is(error.type, CeiErrorTypes.SUBMIT_ERROR);
+    t.regex(error.message, /Tipo de resultado desconhecido: unknown/);
+});
+
+test('exporter-money-format', t => {
+    const centsResult = [{ ...TREASURE_RESULT[0], treasures: [{ ...TREASURE_RESULT[0].treasures[0], investedValue: 123450, grossValue: 134300, netValue: 101200, transactions: [] }] }];
+    const [treasures] = ResultExporter.getTables(RESULT_TYPES.TREASURE, centsResult, { moneyFormat: 'cents' });
+    t.deepEqual(treasures.rows[0].slice(4, 8), [1234.5, 1343, 1012, 0.01]);
+});
+
+test('exporter-csv', t => {
+    const [treasures] = ResultExporter.getTables(RESULT_TYPES.TREASURE, TREASURE_RESULT);
+
+    t.is(
+        ResultExporter.toCsv(treasures).split('\n')[1],
+        '3 - XP INVESTIMENTOS CCTVM S/A,123456,Tesouro IPCA+ 2045,2045-05-15,1234.5,1343,1012,0.01,0'
+    );
+    t.is(
+        ResultExporter.toCsv(treasures, { brazilianFormat: true }).split('\n')[1],
+        '3 - XP INVESTIMENTOS CCTVM S/A;123456;Tesouro IPCA+ 2045;15/05/2045;1.234,5;1.343;1.012;0,01;0'
+    );
+
+    const [, transactions] = ResultExporter.getTables(RESULT_TYPES.TREASURE, TREASURE_RESULT);
+    t.true(ResultExporter.toCsv(transactions).includes(',"IPCA + 4,05%",'));
+
+    const table = { columns: [{ name: 'value', type: 'float' }, { name: 'quantity', type: 'int' }], rows: [[-1234567.891, 1234.6], [-0.00000000001, -999]] };
+    t.deepEqual(ResultExporter.toCsv(table, { brazilianFormat: true }).split('\n').slice(1, 3), ['-1.234.567,891;1.235', '0;-999']);
+});
+
+test('exporter-xlsx', t => {
+    const files = unzip(ResultExporter.toXlsx(ResultExporter.getTables(RESULT_TYPES.TREASURE, TREASURE_RESULT), { brazilianFormat: true }));
+
+    t.truthy(files['[Content_Types].xml']);
+    t.regex(files['xl/workbook.xml'], /<sheet name="treasures" sheetId="1" r:id="rId1"\/><sheet name="transactions"/);
+    t.regex(files['xl/styles.xml'], /formatCode="dd\/mm\/yyyy"/);
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    t.regex(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">institution<\/t><\/is><\/c>/);
+    t.regex(sheet, /<c r="D2" s="2"><v>53097<\/v><\/c>/);
+    t.regex(sheet, /<c r="E2" s="4"><v>1234.5<\/v><\/c>/);
+});
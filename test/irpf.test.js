@@ -0,0 +1,178 @@
+const test = require('ava')
+const { IrpfReport } = require('../src/app');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+
+const RICO = '386 - RICO INVESTIMENTOS - GRUPO XP';
+
+const operation = (date, op, code, quantity, price) => ({
+    date, operation: op, market: 'Mercado a Vista', expiration: '', code, name: '', quantity, price, totalValue: quantity * price, quotationFactor: 1
+});
+
+const dividend = (date, type, code, grossValue, netValue) => ({
+    stock: code, stockType: 'ON', code, date, type, quantity: 100, factor: 1, grossValue, netValue
+});
+
+// Classification of the assets done by the caller: FII, units and ETFs are not exempt
+const REAL_ESTATE_FUNDS = ['HGLG11'];
+const NOT_EXEMPT = [...REAL_ESTATE_FUNDS, 'TAEE11', 'BOVA11'];
+const CLASSIFICATION = {
+    isRealEstateFund: code => REAL_ESTATE_FUNDS.includes(code),
+    isExemptAsset: code => !NOT_EXEMPT.includes(code)
+};
+
+const DATA = {
+    wallet: [{
+        institution: RICO,
+        account: '12345',
+        stockWallet: [{ company: 'ITAUSA', stockType: 'PN', code: 'ITSA4', isin: '', price: 12, quantity: 150, quotationFactor: 1, totalValue: 1800 }],
+        nationalTreasuryWallet: [{ code: 'Tesouro IPCA+ 2024', expirationDate: new Date(2024, 7, 15), investedValue: 1000, grossValue: 1500, netValue: 1400, quantity: 0.25, blocked: 0 }]
+    }],
+    dividends: [{
+        institution: RICO,
+        account: '12345',
+        futureEvents: [],
+        pastEvents: [
+            dividend(new Date(2020, 6, 1), 'DIVIDENDO', 'ITSA4', 6, 6),
+            dividend(new Date(2020, 7, 1), 'JUROS SOBRE CAPITAL PRÓPRIO', 'ITSA4', 10, 8.5),
+            dividend(new Date(2020, 6, 14), 'RENDIMENTO', 'HGLG11', 78, 78),
+            dividend(new Date(2019, 6, 1), 'DIVIDENDO', 'ITSA4', 100, 100)
+        ]
+    }],
+    stockHistory: [{
+        institution: RICO,
+        account: '12345',
+        stockHistory: [
+            operation(new Date(2019, 5, 1), 'C', 'ITSA4', 200, 10),
+            operation(new Date(2020, 0, 10), 'C', 'ITSA4F', 50, 10),
+            operation(new Date(2020, 1, 10), 'V', 'ITSA4', 100, 14),
+            operation(new Date(2020, 2, 10), 'C', 'BTOW3', 1000, 30),
+            operation(new Date(2020, 2, 11), 'V', 'BTOW3', 1000, 32),
+            operation(new Date(2020, 3, 15), 'C', 'PETR4', 100, 20),
+            operation(new Date(2020, 3, 15), 'V', 'PETR4', 100, 21)
+        ]
+    }]
+};
+
+test('irpf-income-type', t => {
+    t.is(IrpfReport.getIncomeType('JUROS SOBRE CAPITAL PRÓPRIO'), 'jcp');
+    t.is(IrpfReport.getIncomeType('DIVIDENDO'), 'dividendo');
+    t.is(IrpfReport.getIncomeType('RENDIMENTO'), 'rendimento');
+    t.is(IrpfReport.getIncomeType('BONIFICAÇÃO'), 'outros');
+});
+
+test('irpf-report', t => {
+    const report = IrpfReport.generate(DATA, { ...CLASSIFICATION, year: 2020, institutionCnpjs: { '386': '00.000.000/0001-00' } });
+    t.is(report.institutions.length, 1);
+
+    const [institution] = report.institutions;
+    t.is(institution.cnpj, '00.000.000/0001-00');
+    t.deepEqual(institution.assets.map(a => [a.code, a.quantity, a.averageCost, a.value]), [
+        ['ITSA4', 150, 10, 1500],
+        ['Tesouro IPCA+ 2024', 0.25, 4000, 1000]
+    ]);
+
+    t.is(institution.income.dividendo.netValue, 6);
+    t.deepEqual(institution.income.jcp.items, [{ code: 'ITSA4', stock: 'ITSA4', grossValue: 10, netValue: 8.5 }]);
+    t.is(institution.income.rendimento.grossValue, 78);
+    t.is(institution.sales.length, 3);
+
+    const [january, february, march, april] = report.monthlyResults;
+    t.is(january.swingTradeSales, 0);
+    t.deepEqual([february.swingTradeSales, february.swingTradeGain, february.exempt, february.taxableSwingTradeGain], [1400, 400, true, 0]);
+    t.deepEqual([march.swingTradeSales, march.swingTradeGain, march.exempt, march.taxableSwingTradeGain], [32000, 2000, false, 2000]);
+    t.deepEqual([april.swingTradeSales, april.dayTradeSales, april.dayTradeGain], [0, 2100, 100]);
+});
+
+test('irpf-without-cnpj', t => {
+    const report = IrpfReport.generate({ dividends: DATA.dividends }, { year: 2019 });
+    t.is(report.institutions[0].cnpj, null);
+    t.is(report.institutions[0].institution, RICO);
+    t.is(report.institutions[0].income.dividendo.grossValue, 100);
+});
+
+test('irpf-money-format', t => {
+    const withFormat = convert => ({
+        wallet: DATA.wallet.map(item => ({
+            ...item,
+            stockWallet: item.stockWallet.map(stock => ({ ...stock, price: convert(stock.price), totalValue: convert(stock.totalValue) })),
+            nationalTreasuryWallet: item.nationalTreasuryWallet.map(treasure => ({ ...treasure, investedValue: convert(treasure.investedValue) }))
+        })),
+        dividends: DATA.dividends.map(item => ({
+            ...item,
+            pastEvents: [...item.pastEvents, dividend(new Date(2020, 8, 14), 'RENDIMENTO', 'HGLG11', 12.5, 12.5)]
+                .map(event => ({ ...event, grossValue: convert(event.grossValue), netValue: convert(event.netValue) }))
+        })),
+        stockHistory: DATA.stockHistory.map(item => ({
+            ...item,
+            stockHistory: item.stockHistory.map(op => ({ ...op, price: convert(op.price), totalValue: convert(op.totalValue) }))
+        }))
+    });
+
+    const decimal = IrpfReport.generate(withFormat(value => value.toFixed(2)), { ...CLASSIFICATION, year: 2020, moneyFormat: 'decimal' });
+    const [institution] = decimal.institutions;
+    t.is(institution.income.rendimento.grossValue, '90.50');
+    t.deepEqual(institution.assets.map(a => [a.code, a.averageCost, a.value]), [['ITSA4', '10', '1500.00'], ['Tesouro IPCA+ 2024', '4000', '1000.00']]);
+    t.deepEqual([decimal.monthlyResults[1].swingTradeSales, decimal.monthlyResults[1].exempt], ['1400.00', true]);
+    t.deepEqual([decimal.monthlyResults[2].swingTradeSales, decimal.monthlyResults[2].exempt, decimal.monthlyResults[2].taxableSwingTradeGain], ['32000.00', false, '2000.00']);
+
+    const cents = IrpfReport.generate(withFormat(value => Math.round(value * 100)), { ...CLASSIFICATION, year: 2020, moneyFormat: 'cents' });
+    t.is(cents.institutions[0].income.rendimento.grossValue, 9050);
+    t.deepEqual([cents.monthlyResults[1].swingTradeSales, cents.monthlyResults[1].exempt, cents.monthlyResults[1].taxableSwingTradeGain], [140000, true, 0]);
+    t.deepEqual([cents.monthlyResults[2].swingTradeSales, cents.monthlyResults[2].exempt, cents.monthlyResults[2].taxableSwingTradeGain], [3200000, false, 200000]);
+    t.deepEqual([cents.monthlyResults[3].dayTradeSales, cents.monthlyResults[3].dayTradeGain], [210000, 10000]);
+});
+
+test('irpf-monthly-sales', t => {
+    const report = IrpfReport.generate({
+        stockHistory: [{
+            institution: RICO,
+            account: '12345',
+            stockHistory: [
+                operation(new Date(2021, 0, 10), 'C', 'ITSA4', 1000, 10),
+                operation(new Date(2021, 0, 10), 'C', 'HGLG11', 10, 150),
+                operation(new Date(2021, 4, 3), 'V', 'ITSA4', 1000, 12),
+                // Opens a short position, bought back in the next month
+                operation(new Date(2021, 4, 10), 'V', 'VALE3', 200, 40.5),
+                operation(new Date(2021, 4, 20), 'V', 'HGLG11', 10, 170),
+                operation(new Date(2021, 5, 15), 'C', 'VALE3', 200, 40),
+                // A unit, which also ends with 11 but is not a real estate fund
+                operation(new Date(2021, 5, 16), 'C', 'TAEE11', 100, 35),
+                operation(new Date(2021, 6, 20), 'V', 'TAEE11', 100, 37)
+            ]
+        }]
+    }, { ...CLASSIFICATION, year: 2021 });
+
+    const [may, june, july] = report.monthlyResults.slice(4, 7);
+    t.deepEqual([may.swingTradeSales, may.exemptAssetsSales, may.exempt], [20100, 20100, false]);
+    t.deepEqual([may.swingTradeGain, may.taxableSwingTradeGain], [2000, 2000]);
+    t.deepEqual([may.realEstateFundsSales, may.realEstateFundsGain], [1700, 200]);
+    t.deepEqual([june.swingTradeSales, june.swingTradeGain, june.exempt, june.taxableSwingTradeGain], [0, 100, true, 0]);
+    t.deepEqual([july.swingTradeSales, july.exemptAssetsSales, july.realEstateFundsSales, july.taxableSwingTradeGain], [3700, 0, 0, 200]);
+});
+
+test('irpf-asset-classification', t => {
+    const error = t.throws(() => IrpfReport.generate(DATA, { year: 2020 }));
+    t.is(error.type, CeiErrorTypes.SUBMIT_ERROR);
+    t.regex(error.message, /isExemptAsset e isRealEstateFund são obrigatórias/);
+
+    // Without sales in the year, the assets do not need to be classified
+    t.notThrows(() => IrpfReport.generate(DATA, { year: 2019 }));
+});
+
+test('irpf-invalid-options', t => {
+    for (const options of [undefined, {}, { year: '2020' }, { ...CLASSIFICATION, year: 2020.5 }])
+        t.is(t.throws(() => IrpfReport.generate(DATA, options)).type, CeiErrorTypes.SUBMIT_ERROR);
+});
+
+test('irpf-warnings', t => {
+    // Rows whose invalid values became null without strictValidation
+    const invalidDate = { ...DATA.stockHistory[0].stockHistory[1], date: null, warnings: [{ field: 'date', message: 'valor obrigatório não informado' }] };
+    const stockHistory = [{ ...DATA.stockHistory[0], stockHistory: [DATA.stockHistory[0].stockHistory[0], invalidDate] }];
+    const historyError = t.throws(() => IrpfReport.generate({ ...DATA, stockHistory }, { ...CLASSIFICATION, year: 2020 }));
+    t.is(historyError.type, CeiErrorTypes.PARSE_ERROR);
+
+    const invalidStock = { ...DATA.wallet[0].stockWallet[0], quantity: null, warnings: [{ field: 'quantity', message: 'valor inválido' }] };
+    const wallet = [{ ...DATA.wallet[0], stockWallet: [invalidStock] }];
+    const walletError = t.throws(() => IrpfReport.generate({ ...DATA, wallet }, { ...CLASSIFICATION, year: 2020 }));
+    t.regex(walletError.message, /Conta 12345, stockWallet, linha 1 com valores inválidos \(quantity: valor inválido\)/);
+});
@@ -0,0 +1,360 @@
+const test = require('ava')
+const nodeFetch = require('node-fetch');
+const CeiCrawler = require('../src/app')
+const { MoneyUtils, MoneyFormats } = require('../src/app');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+const CeiMockServer = require('../src/mock/CeiMockServer');
+const mockData = require('../src/mock/mockData');
+const WalletCrawler = require('../src/lib/WalletCrawler');
+const HealthCheck = require('../src/lib/HealthCheck');
+
+test.before(async t => {
+    t.context.server = new CeiMockServer(undefined, { pendingResponses: 2 });
+    t.context.baseUrl = await t.context.server.start();
+    t.context.ceiCrawler = new CeiCrawler('12345678900', 'password', { baseUrl: t.context.baseUrl });
+});
+
+test.after.always(async t => {
+    await t.context.server.stop();
+});
+
+test.serial('mock-login', async t => {
+    await t.context.ceiCrawler.login();
+    t.is(t.context.ceiCrawler._isLogged, true);
+});
+
+test.serial('mock-wallet', async t => {
+    const result = await t.context.ceiCrawler.getWallet();
+    t.is(result.length, 2);
+    t.is(result[0].stockWallet.length, 2);
+    t.is(result[1].stockWallet.length, 0);
+});
+
+test.serial('mock-dividends', async t => {
+    const result = await t.context.ceiCrawler.getDividends();
+    t.is(result[0].pastEvents.length, 2);
+    t.is(result[0].futureEvents.length, 2);
+});
+
+test.serial('mock-stock-history', async t => {
+    const result = await t.context.ceiCrawler.getStockHistory(new Date(2019, 5, 1), new Date(2019, 5, 30));
+    t.is(result[0].stockHistory.length, 2);
+    t.deepEqual(result[0].summaryStockHistory.map(s => s.code), ['BTOW3', 'ITSA4F']);
+});
+
+test.serial('mock-treasure', async t => {
+    const result = await t.context.ceiCrawler.getTreasures();
+    t.is(result[0].treasures.length, 0);
+    t.is(result[1].treasures[0].transactions.length, 1);
+});
+
+test.serial('mock-options', async t => {
+    const result = await t.context.ceiCrawler.getWalletOptions();
+    t.is(result.minDate, '02/06/2020');
+    t.deepEqual(result.institutions.map(i => i.accounts), [['12345'], ['123456']]);
+});
+
+test.serial('mock-filters', async t => {
+    const byInstitution = await t.context.ceiCrawler.getWallet(null, { institutions: ['3'] });
+    t.deepEqual(byInstitution.map(r => r.account), ['123456']);
+
+    const byAccount = await t.context.ceiCrawler.getDividends(null, { accounts: ['12345'] });
+    t.deepEqual(byAccount.map(r => r.account), ['12345']);
+
+    const byPredicate = await t.context.ceiCrawler.getStockHistory(null, null, (institution, account) => institution.value === '386' && account === '12345');
+    t.deepEqual(byPredicate.map(r => r.account), ['12345']);
+
+    const options = await t.context.ceiCrawler.getTreasureOptions();
+    const byOptions = await t.context.ceiCrawler.getTreasures(null, options.institutions.filter(i => i.value === '3'));
+    t.deepEqual(byOptions.map(r => r.account), ['123456']);
+});
+
+test.serial('mock-concurrency', async t => {
+    const concurrentCrawler = new CeiCrawler('12345678900', 'password', { baseUrl: t.context.baseUrl, concurrency: 2 });
+    const sequential = await t.context.ceiCrawler.getWallet();
+    const concurrent = await concurrentCrawler.getWallet();
+    t.deepEqual(concurrent, sequential);
+
+    const treasures = await concurrentCrawler.getTreasures();
+    t.is(treasures[1].treasures[0].transactions.length, 1);
+});
+
+test.serial('mock-session-import', async t => {
+    const session = JSON.stringify(await t.context.ceiCrawler.exportSession());
+    const requests = [];
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        transport: { fetch: (url, opts) => { requests.push(url); return nodeFetch(url, opts); } }
+    });
+
+    await ceiCrawler.importSession(session);
+    const result = await ceiCrawler.getWalletOptions();
+    t.is(result.minDate, '02/06/2020');
+    t.false(requests.some(url => url.endsWith('login.aspx')));
+});
+
+test.serial('mock-session-expired', async t => {
+    let savedSession = await t.context.ceiCrawler.exportSession();
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        sessionStore: { load: () => savedSession, save: session => { savedSession = session; } }
+    });
+
+    t.context.server.expireSessions();
+    const result = await ceiCrawler.getWalletOptions();
+    t.is(result.minDate, '02/06/2020');
+    t.is(ceiCrawler._isLogged, true);
+    t.notDeepEqual(savedSession.cookies, (await t.context.ceiCrawler.exportSession()).cookies);
+
+    await t.context.ceiCrawler.login();
+});
+
+test.serial('mock-relogin', async t => {
+    const requests = [];
+    let expired = false;
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        transport: {
+            fetch: (url, opts) => {
+                // Expires the session when the crawler moves to the second institution
+                if (!expired && String(opts.body).includes('ddlAgentes=3&')) {
+                    expired = true;
+                    t.context.server.expireSessions();
+                }
+                requests.push({ url, body: String(opts.body) });
+                return nodeFetch(url, opts);
+            }
+        }
+    });
+
+    const result = await ceiCrawler.getWallet();
+    t.deepEqual(result, await t.context.ceiCrawler.getWallet());
+    t.is(requests.filter(r => r.url.endsWith('login.aspx') && r.body.includes('txtSenha')).length, 2);
+    // The account of the first institution is not crawled again: 2 pending responses and the table
+    t.is(requests.filter(r => r.body.includes('btnConsultar') && r.body.includes('ddlAgentes=386&')).length, 3);
+});
+
+test.serial('mock-concurrent-relogin', async t => {
+    const requests = [];
+    let expired = false;
+    let inFlight = 0;
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        concurrency: 2,
+        transport: {
+            fetch: async (url, opts) => {
+                const body = String(opts.body);
+                // Expires the session while both accounts are being crawled
+                if (!expired && body.includes('btnConsultar') && inFlight > 0) {
+                    expired = true;
+                    t.context.server.expireSessions();
+                }
+                requests.push({ url, body, inFlight });
+                inFlight++;
+                try {
+                    return await nodeFetch(url, opts);
+                } finally {
+                    inFlight--;
+                }
+            }
+        }
+    });
+
+    const result = await ceiCrawler.getWallet();
+    t.true(expired);
+    t.deepEqual(result, await t.context.ceiCrawler.getWallet());
+    // A single relogin shared by the workers, without crawling the whole page again
+    t.is(requests.filter(r => r.url.endsWith('login.aspx') && r.body.includes('txtSenha')).length, 2);
+    t.false(ceiCrawler._cookieManager.canRelogin);
+});
+
+test.serial('mock-overlapping-relogin', async t => {
+    let walletOptions = null;
+    let expired = false;
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        transport: {
+            fetch: async (url, opts) => {
+                // Expires the session in the middle of the dividends, after the wallet options have finished
+                if (!expired && url.endsWith('ConsultarProventos.aspx') && String(opts.body).includes('ddlAgentes=3&')) {
+                    expired = true;
+                    await walletOptions;
+                    t.context.server.expireSessions();
+                }
+                return nodeFetch(url, opts);
+            }
+        }
+    });
+
+    await ceiCrawler.login();
+    walletOptions = ceiCrawler.getWalletOptions();
+    const [options, dividends] = await Promise.all([walletOptions, ceiCrawler.getDividends()]);
+    t.true(expired);
+    t.is(options.institutions.length, 2);
+    t.deepEqual(dividends, await t.context.ceiCrawler.getDividends());
+    t.false(ceiCrawler._cookieManager.canRelogin);
+});
+
+test.serial('mock-relogin-cap', async t => {
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        maxRelogins: 0,
+        transport: {
+            fetch: (url, opts) => {
+                if (String(opts.body).includes('ddlAgentes=3&'))
+                    t.context.server.expireSessions();
+                return nodeFetch(url, opts);
+            }
+        }
+    });
+
+    const error = await t.throwsAsync(async () => ceiCrawler.getWallet());
+    t.is(error.type, CeiErrorTypes.SESSION_HAS_EXPIRED);
+    t.is(ceiCrawler._isLogged, false);
+
+    await t.context.ceiCrawler.login();
+});
+
+test.serial('mock-wallet-series', async t => {
+    const requests = [];
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        transport: { fetch: (url, opts) => { requests.push({ url, method: opts.method || 'GET' }); return nodeFetch(url, opts); } }
+    });
+
+    const result = await ceiCrawler.getWalletSeries(new Date(2020, 5, 1), new Date(2020, 5, 10));
+    t.deepEqual(result.map(r => r.account), ['12345', '123456']);
+    t.deepEqual(result[0].series.map(s => s.date.getDate()), [2, 3, 4, 5, 8, 9, 10]);
+    t.deepEqual(result[0].series[0], {
+        date: new Date(2020, 5, 2),
+        stockWalletValue: 4043,
+        nationalTreasuryInvestedValue: 1000,
+        nationalTreasuryGrossValue: 1500,
+        nationalTreasuryNetValue: 1400,
+        totalValue: 5543
+    });
+    t.is(result[1].series[0].totalValue, 0);
+    t.is(requests.filter(r => r.method === 'GET' && r.url.endsWith('ConsultarCarteiraAtivos.aspx')).length, 1);
+
+    const stepped = await ceiCrawler.getWalletSeries(null, new Date(2020, 5, 10), 3, { accounts: ['12345'] });
+    t.deepEqual(stepped[0].series.map(s => s.date.getDate()), [2, 5, 8]);
+});
+
+test.serial('mock-money-format', async t => {
+    const decimalCrawler = new CeiCrawler('12345678900', 'password', { baseUrl: t.context.baseUrl, moneyFormat: MoneyFormats.DECIMAL });
+    const [history] = await decimalCrawler.getStockHistory(new Date(2019, 5, 1), new Date(2019, 5, 30));
+    t.deepEqual(history.stockHistory.map(o => [o.quantity, o.price, o.totalValue]), [[200, '32.20', '6440.00'], [50, '13.10', '655.00']]);
+    t.is(MoneyUtils.sum(history.stockHistory.map(o => o.totalValue)), '7095.00');
+
+    const [series] = await decimalCrawler.getWalletSeries(new Date(2020, 5, 2), new Date(2020, 5, 2), null, { accounts: ['12345'] });
+    t.is(series.series[0].totalValue, '5543.00');
+
+    const centsCrawler = new CeiCrawler('12345678900', 'password', { baseUrl: t.context.baseUrl, moneyFormat: MoneyFormats.CENTS });
+    const treasures = await centsCrawler.getTreasures(null, { accounts: ['123456'] });
+    const [transaction] = treasures[0].treasures[0].transactions;
+    t.deepEqual([transaction.quantity, transaction.price, transaction.grossValue, transaction.netValue], [0.01, 123456, 1343, 1318]);
+});
+
+test.serial('mock-full-stock-history', async t => {
+    const data = JSON.parse(JSON.stringify(mockData));
+    data.periods.stockHistory.maxDays = 20;
+    const trades = data.users[0].institutions[0].accounts[0].stockHistory;
+    trades.splice(1, 0, trades[0]);
+
+    const requests = [];
+    const server = new CeiMockServer(data, { pendingResponses: 0 });
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: await server.start(),
+        historyWindowDays: 20,
+        transport: { fetch: (url, opts) => { requests.push({ url, method: opts.method || 'GET', body: String(opts.body) }); return nodeFetch(url, opts); } }
+    });
+
+    try {
+        const error = await t.throwsAsync(async () => ceiCrawler.getStockHistory(new Date(2019, 0, 1), new Date(2019, 11, 31)));
+        t.is(error.type, CeiErrorTypes.SUBMIT_ERROR);
+
+        requests.length = 0;
+        const result = await ceiCrawler.getFullStockHistory(new Date(2019, 0, 1), new Date(2019, 11, 31));
+        t.deepEqual(result.map(r => r.account), ['12345', '123456']);
+        // The dates are read from one load of the page, the institutions are only selected by the windows
+        const pageRequests = requests.filter(r => r.url.endsWith('negociacao-de-ativos.aspx'));
+        const pageLoads = pageRequests.filter(r => r.method === 'GET').length;
+        const institutionPostbacks = pageRequests.filter(r => r.method === 'POST' && !r.body.includes('btnConsultar')).length;
+        t.is(institutionPostbacks, 2 * (pageLoads - 1));
+        t.deepEqual(result[0].stockHistory.map(o => o.date.getDate()), [12, 12, 14, 3]);
+        t.deepEqual(result[0].summaryStockHistory.map(s => [s.code, s.period, s.buyAmount, s.saleAmount, s.quantityNet, s.position]), [
+            ['BTOW3', '12/06/2019 a 03/07/2019', 400, 100, 300, 'COMPRADA'],
+            ['ITSA4F', '14/06/2019 a 14/06/2019', 50, 0, 50, 'COMPRADA']
+        ]);
+        t.is(result[1].stockHistory.length, 0);
+    } finally {
+        await server.stop();
+    }
+});
+
+test.serial('mock-health-check', async t => {
+    const report = await t.context.ceiCrawler.healthCheck();
+    t.true(report.ok);
+    t.is(report.pages.length, 4);
+    t.true(report.pages.every(page => page.error === null && page.missingSelectors.length === 0 && page.missingFormFields.length === 0));
+    // The alerts are only shown with messages, and the first account has no treasures
+    t.deepEqual(report.pages.find(page => page.name === 'wallet').uncheckedSelectors, ['ALERT_BOX', 'RESULT_FOOTER_101', 'PAGE_ALERT_ERROR', 'PAGE_ALERT_SUCCESS']);
+    t.true(report.pages.find(page => page.name === 'treasure').uncheckedSelectors.includes('TREASURE_TABLE_BODY_ROWS'));
+
+    const cookieManager = t.context.ceiCrawler._cookieManager;
+    const changedCrawler = {
+        PAGE: { ...WalletCrawler.PAGE, DATE_MIN_VALUE: '#ctl00_ContentPlaceHolder1_lblDataInicial' },
+        FETCH_FORMS: { WALLET_ACCOUNT: [...WalletCrawler.FETCH_FORMS.WALLET_ACCOUNT, 'ctl00$ContentPlaceHolder1$ddlMercado'] },
+        _selectInstitution: (...args) => WalletCrawler._selectInstitution(...args),
+        _getAccountData: (...args) => WalletCrawler._getAccountData(...args)
+    };
+    const changed = await HealthCheck.checkPage(cookieManager, 'wallet', changedCrawler);
+    t.false(changed.ok);
+    t.deepEqual(changed.missingSelectors, [{ name: 'DATE_MIN_VALUE', selector: '#ctl00_ContentPlaceHolder1_lblDataInicial' }]);
+
+    // The stock table has data, found by its header, so its selectors must match
+    const changedResults = await HealthCheck.checkPage(cookieManager, 'wallet', {
+        ...changedCrawler,
+        PAGE: { ...WalletCrawler.PAGE, STOCK_WALLET_TABLE_BODY_ROWS: '#grdCarteira tbody tr' }
+    });
+    t.deepEqual(changedResults.missingSelectors, [{ name: 'STOCK_WALLET_TABLE_BODY_ROWS', selector: '#grdCarteira tbody tr' }]);
+    t.deepEqual(changed.missingFormFields, [{ form: 'WALLET_ACCOUNT', field: 'ctl00$ContentPlaceHolder1$ddlMercado' }]);
+
+    const renamed = await HealthCheck.checkPage(cookieManager, 'wallet', { ...changedCrawler, PAGE: { ...WalletCrawler.PAGE, URL: 'ConsultarCarteira.aspx' } });
+    t.false(renamed.ok);
+    t.regex(renamed.error, /ConsultarCarteira\.aspx/);
+});
+
+test.serial('mock-health-check-columns', async t => {
+    const ceiCrawler = new CeiCrawler('12345678900', 'password', {
+        baseUrl: t.context.baseUrl,
+        transport: {
+            fetch: async (url, opts) => {
+                // Renames a column of the stock wallet
+                const response = await nodeFetch(url, opts);
+                const text = response.text.bind(response);
+                response.text = async () => (await text()).replace('Cód. de Negociação', 'Código');
+                return response;
+            }
+        }
+    });
+
+    const report = await ceiCrawler.healthCheck();
+    t.false(report.ok);
+    t.regex(report.pages.find(page => page.name === 'wallet').error, /Colunas não encontradas na tabela: code/);
+});
+
+test.serial('mock-invalid-dates', async t => {
+    const error = await t.throwsAsync(async () => t.context.ceiCrawler.getDividends(new Date(0)));
+    t.is(error.type, CeiErrorTypes.SUBMIT_ERROR);
+});
+
+test.serial('mock-login-fail', async t => {
+    const error = await t.throwsAsync(async () => new CeiCrawler('1234', 'invalidPassword', { baseUrl: t.context.baseUrl }).login());
+    t.is(error.type, CeiErrorTypes.LOGIN_FAILED);
+});
+
+test.serial('mock-wrong-password', async t => {
+    const error = await t.throwsAsync(async () => new CeiCrawler('12345678900', 'wrong', { baseUrl: t.context.baseUrl }).login());
+    t.is(error.type, CeiErrorTypes.WRONG_PASSWORD);
+});
@@ -0,0 +1,182 @@
+const test = require('ava')
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodeFetch = require('node-fetch');
+const CeiCrawler = require('../src/app')
+const { FixtureTransport } = require('../src/app');
+const FetchCookieManager = require('../src/lib/FetchCookieManager');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+const CeiMockServer = require('../src/mock/CeiMockServer');
+const mockData = require('../src/mock/mockData');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'cei');
+
+test.beforeEach(t => {
+    t.context.ceiCrawler = new CeiCrawler('00000000000', 'password', {
+        transport: new FixtureTransport({ mode: 'replay', path: FIXTURE_PATH })
+    });
+});
+
+test('replay-login', async t => {
+    await t.context.ceiCrawler.login();
+    t.is(t.context.ceiCrawler._isLogged, true);
+});
+
+test('replay-wallet', async t => {
+    const result = await t.context.ceiCrawler.getWallet();
+    t.is(result.length, 1);
+    t.is(result[0].institution, '386 - RICO INVESTIMENTOS - GRUPO XP');
+    t.is(result[0].account, '12345');
+    t.is(result[0].stockWallet.length, 2);
+    t.is(result[0].stockWallet[1].totalValue, 2900);
+    t.is(result[0].nationalTreasuryWallet[0].quantity, 0.25);
+});
+
+test('replay-dividends', async t => {
+    const result = await t.context.ceiCrawler.getDividends();
+    t.is(result.length, 1);
+    t.is(result[0].pastEvents.length, 2);
+    t.is(result[0].futureEvents.length, 2);
+    t.is(result[0].futureEvents[1].date, null);
+    t.is(result[0].pastEvents[1].grossValue, 78);
+});
+
+test('replay-stock-history', async t => {
+    const result = await t.context.ceiCrawler.getStockHistory();
+    t.is(result.length, 1);
+    t.is(result[0].stockHistory.length, 3);
+    t.is(result[0].stockHistory[0].totalValue, 6440);
+    t.is(result[0].summaryStockHistory.length, 2);
+    t.is(result[0].summaryStockHistory[0].quantityNet, 100);
+});
+
+test('replay-treasure', async t => {
+    const result = await t.context.ceiCrawler.getTreasures();
+    t.is(result.length, 1);
+    t.is(result[0].treasures.length, 1);
+    t.is(result[0].treasures[0].code, 'Tesouro IPCA+ 2045');
+    t.is(result[0].treasures[0].transactions.length, 1);
+    t.is(result[0].treasures[0].transactions[0].price, 1234.56);
+});
+
+test('replay-exhausted', async t => {
+    await t.context.ceiCrawler.login();
+    await t.throwsAsync(async () => t.context.ceiCrawler.login(), { message: /No recorded response left/ });
+});
+
+test('record-scrub', t => {
+    const transport = new FixtureTransport({ mode: 'record', path: FIXTURE_PATH, secrets: ['s3cr3t'] });
+    t.is(transport._scrub('CPF: 123.456.789-00, senha s3cr3t'), 'CPF: 000.000.000-00, senha ***');
+    t.is(
+        transport._scrubForm('ctl00%24ContentPlaceHolder1%24txtLogin=12345678900&ctl00%24ContentPlaceHolder1%24txtSenha=s3cr3t&__VIEWSTATE=abc'),
+        'ctl00%24ContentPlaceHolder1%24txtLogin=***&ctl00%24ContentPlaceHolder1%24txtSenha=***&__VIEWSTATE=abc'
+    );
+});
+
+test('record-replay-session-expired', async t => {
+    const users = mockData.users.map(user => ({ ...user, password: 's3nh@-forte' }));
+    const server = new CeiMockServer({ ...mockData, users });
+    const baseUrl = await server.start();
+    const fixturePath = fs.mkdtempSync(path.join(os.tmpdir(), 'cei-fixture-'));
+
+    try {
+        const recorder = new FixtureTransport({ mode: 'record', path: fixturePath });
+        const recording = new CeiCrawler(users[0].username, users[0].password, { baseUrl, transport: recorder });
+        await recording.login();
+        server.expireSessions();
+        const recorded = await recording.getDividendsOptions();
+        recorder.save();
+
+        const saved = fs.readdirSync(path.join(fixturePath, 'bodies'))
+            .map(file => fs.readFileSync(path.join(fixturePath, 'bodies', file), 'utf8'))
+            .concat(fs.readFileSync(path.join(fixturePath, 'exchanges.json'), 'utf8'))
+            .join('\n');
+        t.false(saved.includes(users[0].username));
+        t.false(saved.includes('s3nh'));
+
+        const exchanges = JSON.parse(fs.readFileSync(path.join(fixturePath, 'exchanges.json'), 'utf8'));
+        const setCookies = exchanges.flatMap(exchange => exchange.headers.filter(([name]) => name === 'set-cookie').map(([, value]) => value));
+        t.true(setCookies.some(value => value.startsWith('ASP.NET_SessionId=***;')));
+        t.true(setCookies.every(value => value.startsWith('Acesso=0;') || value.split(';')[0].endsWith('=***')));
+        t.true(exchanges.some(exchange => exchange.url.endsWith('ConsultarProventos.aspx') && exchange.responseUrl.endsWith('login.aspx')));
+
+        const player = new CeiCrawler(users[0].username, users[0].password, {
+            baseUrl,
+            transport: new FixtureTransport({ mode: 'replay', path: fixturePath })
+        });
+        await player.login();
+        t.deepEqual(await player.getDividendsOptions(), recorded);
+
+        const noRelogin = new CeiCrawler(users[0].username, users[0].password, {
+            baseUrl,
+            maxRelogins: 0,
+            transport: new FixtureTransport({ mode: 'replay', path: fixturePath })
+        });
+        await noRelogin.login();
+        const error = await t.throwsAsync(async () => noRelogin.getDividendsOptions());
+        t.is(error.type, CeiErrorTypes.SESSION_HAS_EXPIRED);
+    } finally {
+        await server.stop();
+        fs.rmSync(fixturePath, { recursive: true, force: true });
+    }
+});
+
+test('replay-endpoints', async t => {
+    const requests = [];
+    const transport = new FixtureTransport({ mode: 'replay', path: FIXTURE_PATH });
+    const ceiCrawler = new CeiCrawler('00000000000', 'password', {
+        baseUrl: 'https://mirror.example.com/CEI_Responsivo',
+        pages: { 'ConsultarProventos.aspx': 'proventos.aspx' },
+        transport: {
+            fetch: (url, opts) => {
+                requests.push({ url, headers: opts.headers });
+                return transport.fetch(url, opts);
+            }
+        }
+    });
+
+    await ceiCrawler.login();
+    t.is(requests[0].url, 'https://mirror.example.com/CEI_Responsivo/login.aspx');
+    t.is(requests[0].headers.Host, 'mirror.example.com');
+    t.is(requests[1].headers.Origin, 'https://mirror.example.com');
+    t.is(requests[1].headers.Referer, 'https://mirror.example.com/CEI_Responsivo/login.aspx');
+
+    await t.throwsAsync(async () => ceiCrawler.getDividends(), { message: /GET \/CEI_Responsivo\/proventos\.aspx/ });
+});
+
+test('replay-default-headers', async t => {
+    const requests = [];
+    const transport = new FixtureTransport({ mode: 'replay', path: FIXTURE_PATH });
+    const ceiCrawler = new CeiCrawler('00000000000', 'password', {
+        transport: {
+            fetch: (url, opts) => {
+                requests.push({ url, headers: opts.headers });
+                return transport.fetch(url, opts);
+            }
+        }
+    });
+
+    await ceiCrawler.login();
+    t.is(requests[0].url, 'https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx');
+    t.is(requests[1].headers.Host, 'cei.b3.com.br');
+    t.is(requests[1].headers.Origin, 'https://cei.b3.com.br');
+    t.is(requests[1].headers.Referer, 'https://ceiapp.b3.com.br/CEI_Responsivo/login.aspx');
+});
+
+test('transport-login-redirect', async t => {
+    const location = { 'ConsultarProventos.aspx': 'login.aspx', 'ConsultarCarteiraAtivos.aspx': 'Home.aspx' };
+    const cookieManager = new FetchCookieManager({}, 30000, {
+        fetch: async url => new nodeFetch.Response('', {
+            url,
+            status: 302,
+            headers: { 'Location': location[new URL(url).pathname.split('/').pop()] }
+        })
+    });
+
+    const error = await t.throwsAsync(async () => cookieManager.fetch('ConsultarProventos.aspx'));
+    t.is(error.type, CeiErrorTypes.SESSION_HAS_EXPIRED);
+
+    const response = await cookieManager.fetch('ConsultarCarteiraAtivos.aspx');
+    t.is(response.status, 302);
+});
@@ -0,0 +1,36 @@
+const test = require('ava')
+const StockHistoryCrawler = require('../src/lib/StockHistoryCrawler');
+
+const summary = (code, period, buyAmount, saleAmount, averageBuyPrice, averageSalePrice) => ({
+    code, period, buyAmount, saleAmount, averageBuyPrice, averageSalePrice,
+    quantityNet: Math.abs(buyAmount - saleAmount),
+    position: buyAmount > saleAmount ? 'COMPRADA' : buyAmount < saleAmount ? 'VENDIDA' : 'ZERADA'
+});
+
+test('merge-operations', t => {
+    const operation = { date: new Date(2019, 5, 12), operation: 'C', code: 'BTOW3', quantity: 100, price: 32.2 };
+    const other = { ...operation, quantity: 200 };
+
+    t.deepEqual(StockHistoryCrawler._mergeOperations([operation], [operation, other]), [operation, other]);
+    t.deepEqual(StockHistoryCrawler._mergeOperations([operation, operation], [operation]), [operation, operation]);
+    t.deepEqual(StockHistoryCrawler._mergeOperations([], [operation, operation]), [operation, operation]);
+});
+
+test('merge-summaries', t => {
+    const summaries = [
+        summary('BTOW3', '12/06/2019 a 12/06/2019', 200, 0, 32.2, 0),
+        summary('ITSA4F', '14/06/2019 a 14/06/2019', 50, 0, 13.1, 0),
+        summary('BTOW3', '01/07/2019 a 03/07/2019', 100, 400, 35, 40.5)
+    ];
+
+    t.deepEqual(StockHistoryCrawler._mergeSummaries(summaries, 'number'), [
+        summary('BTOW3', '12/06/2019 a 03/07/2019', 300, 400, 33.13, 40.5),
+        summary('ITSA4F', '14/06/2019 a 14/06/2019', 50, 0, 13.1, 0)
+    ]);
+
+    const [cents] = StockHistoryCrawler._mergeSummaries(summaries.map(s => ({ ...s, averageBuyPrice: Math.round(s.averageBuyPrice * 100), averageSalePrice: Math.round(s.averageSalePrice * 100) })), 'cents');
+    t.deepEqual([cents.averageBuyPrice, cents.averageSalePrice], [3313, 4050]);
+
+    const [decimal] = StockHistoryCrawler._mergeSummaries(summaries.map(s => ({ ...s, averageBuyPrice: s.averageBuyPrice.toFixed(2), averageSalePrice: s.averageSalePrice.toFixed(2) })), 'decimal');
+    t.deepEqual([decimal.averageBuyPrice, decimal.averageSalePrice, decimal.position], ['33.13', '40.50', 'VENDIDA']);
+});
@@ -0,0 +1,181 @@
+const test = require('ava')
+const cheerio = require('cheerio');
+const CeiCrawler = require('../src/app');
+const CeiUtils = require('../src/lib/CeiUtils');
+const MoneyUtils = require('../src/lib/MoneyUtils');
+const { CeiErrorTypes } = require('../src/lib/CeiCrawlerError');
+
+test('parse-decimal', t => {
+    t.is(CeiUtils.parseDecimal('1.234.567,89'), '1234567.89');
+    t.is(CeiUtils.parseDecimal('1.000.000'), '1000000');
+    t.is(CeiUtils.parseDecimal('-12,5%'), '-12.5');
+    t.is(CeiUtils.parseDecimal('R$ 1.050,00'), '1050.00');
+    t.is(CeiUtils.parseDecimal('-R$ 0,01'), '-0.01');
+    t.is(CeiUtils.parseDecimal('- R$ 10,00'), '-10.00');
+    t.is(CeiUtils.parseDecimal('R$ -10,00'), '-10.00');
+    t.is(CeiUtils.parseDecimal('R$\u00a0\u221210,00'), '-10.00');
+    t.is(CeiUtils.parseDecimal('(R$ 37,83)'), '-37.83');
+    t.is(CeiUtils.parseDecimal('-R$ -10,00'), null);
+    t.is(CeiUtils.parseDecimal('(37,83)'), '-37.83');
+    t.is(CeiUtils.parseDecimal('-0,00'), '0.00');
+    t.is(CeiUtils.parseDecimal('1234,5'), '1234.5');
+    t.is(CeiUtils.parseDecimal(''), null);
+    t.is(CeiUtils.parseDecimal('1.23,4'), null);
+    t.is(CeiUtils.parseDecimal('1,234.56'), null);
+    t.is(CeiUtils.parseDecimal(undefined), null);
+});
+
+test('parse-table-types', t => {
+    const [row] = CeiUtils.parseTableTypes([{
+        code: 'ITSA4',
+        quantity: '1.000.000',
+        price: 'R$ 1.234.567,89',
+        rate: '12,5%',
+        cents: '-1.234,50',
+        allocated: '',
+        date: '13/07/2020',
+        payment: '01/01/0001'
+    }], {
+        code: 'string',
+        quantity: 'int',
+        price: 'money',
+        rate: 'percent',
+        cents: 'decimal',
+        allocated: 'int?',
+        date: 'date',
+        payment: 'date'
+    });
+
+    t.deepEqual(row, {
+        code: 'ITSA4',
+        quantity: 1000000,
+        price: 1234567.89,
+        rate: 12.5,
+        cents: '-1234.50',
+        allocated: null,
+        date: new Date(2020, 6, 13),
+        payment: null
+    });
+});
+
+test('parse-table-types-invalid', t => {
+    const parse = (value, type) => () => CeiUtils.parseTableTypes([{ value }], { value: type }, { strictValidation: true });
+
+    for (const [value, type] of [['', 'float'], ['abc', 'money'], ['10,5', 'int'], [undefined, 'int'], ['31/02/2020', 'date'], ['2020-07-13', 'date?'], ['1', 'unknown']]) {
+        const error = t.throws(parse(value, type));
+        t.is(error.type, CeiErrorTypes.PARSE_ERROR);
+    }
+
+    t.is(parse('-', 'float?')()[0].value, null);
+    t.is(parse(undefined, 'money?')()[0].value, null);
+});
+
+test('value-types', t => {
+    t.is(CeiUtils.getValueType('money'), 'float');
+    t.is(CeiUtils.getValueType('percent'), 'float');
+    t.is(CeiUtils.getValueType('int?'), 'int');
+    t.is(CeiUtils.getValueType('decimal'), 'string');
+    t.is(CeiUtils.getValueType('date'), 'date');
+});
+
+test('parse-money-format', t => {
+    const row = { price: '1.234.567,89' };
+    t.is(CeiUtils.parseTableTypes([row], { price: 'money' }, { moneyFormat: 'decimal' })[0].price, '1234567.89');
+    t.is(CeiUtils.parseTableTypes([row], { price: 'money' }, { moneyFormat: 'cents' })[0].price, 123456789);
+    t.is(CeiUtils.parseTableTypes([row], { price: 'money' }, { moneyFormat: 'number' })[0].price, 1234567.89);
+});
+
+test('money-arithmetic', t => {
+    t.is(MoneyUtils.sum([0.1, 0.2], 'number'), 0.3);
+    t.is(MoneyUtils.sum(['0.10', '0.20', '-1.05']), '-0.75');
+    t.is(MoneyUtils.sum([], 'cents'), 0);
+    t.is(MoneyUtils.add(1099, 1, 'cents'), 1100);
+    t.is(MoneyUtils.subtract('10.00', '0.01'), '9.99');
+    t.is(MoneyUtils.multiply('1234.56', '0.01'), '12.3456');
+    t.is(MoneyUtils.multiply(3220, 200, 'cents'), 644000);
+    t.is(MoneyUtils.convert('12.345', 'decimal', 'cents'), 1235);
+    t.is(MoneyUtils.convert(-12.345, 'number', 'cents'), -1235);
+    t.is(MoneyUtils.convert(5, 'cents', 'decimal'), '0.05');
+    t.throws(() => MoneyUtils.sum([1.5], 'cents'), TypeError);
+    t.throws(() => MoneyUtils.sum(['1,5']), TypeError);
+    t.throws(() => MoneyUtils.sum(['1'], 'reais'), TypeError);
+});
+
+test('extract-table-rows', t => {
+    const labels = { code: ['Cód. Neg.', 'Código Negociação'], price: ['Preço (R$)'], quantity: ['Quantidade'] };
+    const dom = cheerio.load(`<table>
+        <thead><tr><th>Quantidade</th><th>Mercado</th><th>Código  Negociação</th><th>Preço (R$)*</th></tr></thead>
+        <tbody><tr><td>100</td><td>Vista</td><td>BIDI4</td><td>11,43</td></tr></tbody>
+    </table>`);
+
+    t.deepEqual(CeiUtils.extractTableRows(dom, dom('tbody tr'), labels), [{ code: 'BIDI4', price: '11,43', quantity: '100' }]);
+    t.deepEqual(CeiUtils.extractTableRows(dom, dom('tfoot tr'), labels), []);
+
+    const error = t.throws(() => CeiUtils.extractTableRows(dom, dom('tbody tr'), { ...labels, isin: ['Cod.ISIN'] }));
+    t.is(error.type, CeiErrorTypes.LAYOUT_CHANGED);
+    t.regex(error.message, /isin \(Cod\.ISIN\)/);
+});
+
+test('validate-rows', t => {
+    const definition = { code: 'string', date: 'date', quantity: 'int', price: 'money', allocated: 'int?' };
+    const rules = { required: ['code'], nonNegative: ['quantity', 'price', 'allocated'], nonFuture: ['date'] };
+    const rows = () => [
+        { code: 'ITSA4', date: new Date(2020, 6, 13), quantity: 100, price: 10.5, allocated: null },
+        { code: '', date: new Date(1990, 0, 1), quantity: -100, price: 10.5, allocated: null }
+    ];
+
+    const error = t.throws(() => CeiUtils.validateRows(rows(), definition, rules, { strictValidation: true }));
+    t.is(error.type, CeiErrorTypes.PARSE_ERROR);
+    t.regex(error.message, /^Linha 2, coluna code/);
+
+    const [valid, invalid] = CeiUtils.validateRows(rows(), definition, rules, { strictValidation: false });
+    t.false('warnings' in valid);
+    t.deepEqual(invalid.warnings.map(warning => warning.field), ['code', 'date', 'quantity']);
+
+    const [cents] = CeiUtils.validateRows([{ ...rows()[0], price: 10.5 }], definition, rules, { moneyFormat: 'cents', strictValidation: false });
+    t.deepEqual(cents.warnings.map(warning => warning.field), ['price']);
+
+    // Trade dates can not be later than today, while dates without the rule may be in the future, like expirations
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const [current, future] = CeiUtils.validateRows([{ ...rows()[0], date: today }, { ...rows()[0], date: tomorrow }], definition, rules);
+    t.false('warnings' in current);
+    t.regex(future.warnings[0].message, /^data futura/);
+    t.false('warnings' in CeiUtils.validateRows([{ ...rows()[0], date: new Date(2045, 4, 15) }], definition, { nonNegative: rules.nonNegative })[0]);
+});
+
+test('parse-table-types-lenient', t => {
+    const [row] = CeiUtils.parseTableTypes([{ code: 'ITSA4', quantity: '1,5' }], { code: 'string', quantity: 'int' }, new CeiCrawler('user', 'password').options);
+
+    t.is(row.code, 'ITSA4');
+    t.is(row.quantity, null);
+    t.is(row.warnings.length, 1);
+    t.is(row.warnings[0].field, 'quantity');
+    t.throws(() => CeiUtils.parseTableTypes([{ quantity: '1,5' }], { quantity: 'int' }, { strictValidation: true }));
+});
+
+test('get-dates-in-range', t => {
+    const businessDays = CeiUtils.getDatesInRange(new Date(2020, 6, 31), new Date(2020, 7, 4));
+    t.deepEqual(businessDays, [new Date(2020, 6, 31), new Date(2020, 7, 3), new Date(2020, 7, 4)]);
+    t.deepEqual(CeiUtils.getDatesInRange(new Date(2020, 6, 31), new Date(2020, 7, 14), 7), [new Date(2020, 6, 31), new Date(2020, 7, 7), new Date(2020, 7, 14)]);
+
+    for (const step of [0, -1, 1.5, '7', NaN]) {
+        const error = t.throws(() => CeiUtils.getDatesInRange(new Date(2020, 6, 31), new Date(2020, 7, 14), step));
+        t.is(error.type, CeiErrorTypes.SUBMIT_ERROR);
+    }
+});
+
+test('split-date-range', t => {
+    t.deepEqual(CeiUtils.splitDateRange(new Date(2020, 0, 1), new Date(2020, 0, 25), 10), [
+        { startDate: new Date(2020, 0, 1), endDate: new Date(2020, 0, 10) },
+        { startDate: new Date(2020, 0, 11), endDate: new Date(2020, 0, 20) },
+        { startDate: new Date(2020, 0, 21), endDate: new Date(2020, 0, 25) }
+    ]);
+
+    for (const historyWindowDays of [0, -30, 0.5, '90']) {
+        t.is(t.throws(() => CeiUtils.splitDateRange(new Date(2020, 0, 1), new Date(2020, 0, 25), historyWindowDays)).type, CeiErrorTypes.SUBMIT_ERROR);
+        t.is(t.throws(() => new CeiCrawler('12345678900', 'password', { historyWindowDays })).type, CeiErrorTypes.SUBMIT_ERROR);
+    }
+    t.is(new CeiCrawler('12345678900', 'password').options.historyWindowDays, 90);
+});